@@ -6,11 +6,38 @@ require('dotenv').config();
 
 // Import required Node.js modules
 const TelegramBot = require('node-telegram-bot-api'); // Main Telegram bot library
-const { exec, execSync } = require('child_process'); // For executing shell commands
 const fs = require('fs'); // File system operations
 const path = require('path'); // Path manipulation
 const crypto = require('crypto'); // Cryptographic functions (for generating session IDs)
-const readline = require('readline'); // Reading command line output
+const { createDownloadQueue } = require('./lib/queue'); // Download job scheduler
+const { createYtDlp } = require('./lib/ytdlp'); // Safe async yt-dlp adapter
+const { createProber } = require('./lib/probe'); // Cached single-pass metadata probe
+const { createSizeEstimator } = require('./lib/size'); // Pre-download size of the chosen format
+const { createProgressTracker } = require('./lib/progress'); // yt-dlp output -> overall progress
+const { createWorkspace } = require('./lib/workspace'); // Per-job folders, janitor and free space
+const { AUDIO_FORMATS, buildVideoOptions, buildAudioOptions, formatSize } = require('./lib/formats'); // Quality menu choices
+const { splitMedia, compressToFit } = require('./lib/media'); // ffmpeg post-processing (split/compress)
+const { parseSelection, formatSelection } = require('./lib/playlist'); // Playlist item selections
+const { formatDuration, formatWaitTime, parseTimeRange } = require('./lib/time'); // Timestamps and clip ranges
+const { createHttpServer, secretMatches } = require('./lib/server'); // Webhook and health endpoint
+const { createStore } = require('./lib/store'); // Persistent key-value store (JSON file or SQLite)
+const { createSessionStore } = require('./lib/sessions'); // Media sessions that survive restarts
+const { createTtlCache } = require('./lib/cache'); // Expiring in-memory map
+const { extractUrls, isHttpUrl } = require('./lib/urls'); // Links from message entities
+const { createCallbackSigner } = require('./lib/callbacks'); // Tamper-proof button data
+const { createAccessPolicy } = require('./lib/access'); // Allow/block lists, quotas and rate limits
+const { createStats } = require('./lib/stats'); // Download counters for /stats
+const { createI18n } = require('./lib/i18n'); // Message catalogs (locales/)
+const { createPreferences, VIDEO_HEIGHTS, AUDIO_BITRATES } = require('./lib/preferences'); // Per-user /settings
+const { createLogger } = require('./lib/logger'); // Structured (JSON) logs
+const { createMetrics } = require('./lib/metrics'); // Prometheus counters and histograms
+
+/**
+ * Logger
+ * One JSON object per line (LOG_FORMAT=text for readable lines), entries of
+ * a job carry its session, chat, platform and phase. LOG_LEVEL: debug, info, warn or error
+ */
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info', format: process.env.LOG_FORMAT || 'json' });
 
 /**
  * Configuration Constants
@@ -21,51 +48,300 @@ const readline = require('readline'); // Reading command line output
 const TOKEN = process.env.BOT_TOKEN;
 if (!TOKEN) {
   // Fail fast if token is missing
-  console.error('Missing BOT_TOKEN environment variable');
+  logger.error('Missing BOT_TOKEN environment variable');
   process.exit(1);
 }
 
 // Define folder for downloaded files (creates in project root/downloads)
 const DOWNLOAD_FOLDER = path.join(__dirname, 'downloads');
 
+// Key for signing button data (CALLBACK_SECRET, or derived from the token so buttons survive restarts)
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET ||
+    crypto.createHmac('sha256', 'callback-data').update(TOKEN).digest();
+
+// Where persistent bot data (sessions, jobs, file_id cache, user data) is kept:
+// STORE_BACKEND "json" (default) or "sqlite" (Node.js 22.5+), STORE_FILE overrides the file
+const STORE_BACKEND = process.env.STORE_BACKEND || 'json';
+const STORE_FILE = process.env.STORE_FILE ||
+    path.join(__dirname, 'data', STORE_BACKEND === 'sqlite' ? 'store.db' : 'store.json');
+
 /**
- * Determine yt-dlp executable path based on operating system
+ * Determine yt-dlp executable path
+ * - YT_DLP_PATH environment variable wins if set (e.g. a fake binary in tests)
  * - Windows: Uses bundled yt-dlp.exe in tools folder
  * - Other OS: Assumes yt-dlp is installed system-wide
  */
-const YT_DLP_PATH = process.platform === 'win32' 
+const YT_DLP_PATH = process.env.YT_DLP_PATH || (process.platform === 'win32'
     ? path.join(__dirname, 'tools', 'yt-dlp.exe')
-    : 'yt-dlp';
+    : 'yt-dlp');
+
+const METADATA_TIMEOUT = 60000; // Give up on metadata/size lookups after 60 seconds
+const DOWNLOAD_TIMEOUT = 30 * 60 * 1000; // Kill downloads that run longer than 30 minutes
+const PROBE_CACHE_TTL = 30 * 60 * 1000; // Reuse metadata of a URL for 30 minutes (stream URLs expire later)
+
+/**
+ * Telegram Bot API backend
+ * - Public API (default): uploads are limited to 50MB
+ * - Self-hosted telegram-bot-api server (TELEGRAM_API_URL): uploads up to 2GB
+ */
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || null; // e.g. http://localhost:8081
+const DEFAULT_MAX_FILE_SIZE_MB = TELEGRAM_API_URL ? 2000 : 50;
 
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB (Telegram's file size limit for bots)
+/**
+ * Receiving updates
+ * - Long polling (default)
+ * - Webhook (WEBHOOK_URL): Telegram posts updates to the embedded HTTP server,
+ *   usually through a reverse proxy that terminates TLS. Requests must carry
+ *   the secret token (WEBHOOK_SECRET, or derived from the token).
+ * The HTTP server also answers /healthz; in polling mode it only runs when HTTP_PORT is set.
+ */
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null; // e.g. https://bot.example.com/telegram
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET ||
+    crypto.createHmac('sha256', 'webhook-secret').update(TOKEN).digest('hex');
+const HTTP_PORT = parseInt(process.env.HTTP_PORT, 10) || (WEBHOOK_URL ? 8080 : null);
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
+const SHUTDOWN_TIMEOUT = (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 300) * 1000; // Longest wait for running jobs on shutdown
+const HEALTH_CHECK_TTL = 60 * 1000; // Reuse the yt-dlp check of /healthz for a minute
+
+// Upload limit for the configured backend (MAX_FILE_SIZE_MB overrides the default)
+const MAX_FILE_SIZE = (parseFloat(process.env.MAX_FILE_SIZE_MB) || DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024;
+const MAX_FILE_SIZE_LABEL = MAX_FILE_SIZE >= 1024 * 1024 * 1024
+    ? `${+(MAX_FILE_SIZE / (1024 * 1024 * 1024)).toFixed(1)}GB`
+    : `${+(MAX_FILE_SIZE / (1024 * 1024)).toFixed(1)}MB`; // e.g. "50MB" or "2GB"
 const PROGRESS_UPDATE_INTERVAL = 3000; // Update progress every 3 seconds (3000ms)
-const MIN_PROGRESS_CHANGE = 5; // Only update if progress changes by at least 5%
+const MIN_PROGRESS_CHANGE = 5; // Without speed/ETA to refresh, only update if progress changes by at least 5%
+const OVERSIZED_FILE_TTL = 15 * 60 * 1000; // Keep too-large downloads 15 minutes for splitting/compressing
+const MIN_FREE_DISK = (parseFloat(process.env.MIN_FREE_DISK_MB) || 1024) * 1024 * 1024; // Refuse new jobs below this free space (default 1GB)
+const JANITOR_INTERVAL = 60 * 60 * 1000; // Sweep orphaned files from the download folder every hour
+const SESSION_TTL = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000; // Buttons of a link stop working after this long unused
+const PLAYLIST_MAX_ITEMS = 50; // Most entries downloaded in one playlist batch
+const PLAYLIST_PAGE_SIZE = 8; // Entries per page in the item picker
+const PLAYLIST_AUDIO_BITRATE = 192; // MP3 bitrate of audio batches (kbps)
+const HIDE_OVERSIZED_FORMATS = process.env.HIDE_OVERSIZED_FORMATS === 'true'; // Hide (instead of mark) options over the limit
+const FILE_ID_CACHE_MAX = 5000; // Most uploads remembered for instant resending (oldest are dropped)
+
+/**
+ * Inline mode (@bot <url or search terms> in any chat)
+ * Files are uploaded to STORAGE_CHAT_ID (or the user's private chat with the
+ * bot) first, because inline messages can only be edited to an existing file_id
+ */
+const STORAGE_CHAT_ID = process.env.STORAGE_CHAT_ID || null;
+const INLINE_SEARCH_RESULTS = 5; // Search results offered for plain text queries
+const INLINE_MIN_QUERY_LENGTH = 3; // Don't search while the user has only typed a letter or two
+const INLINE_RESULT_TTL = 30 * 60 * 1000; // How long a shown result can still be picked
+const INLINE_DEBOUNCE = 700; // Look a query up once the user stopped typing this long (ms)
+const INLINE_MAX_LOOKUPS = 2; // yt-dlp lookups for inline queries running at once (all users)
+
+// Format used when no menu is shown (inline mode, group auto-download) and the /settings default
+const PRESET_MAX_HEIGHT = 720; // Best video resolution up to this height
+const PRESET_AUDIO_BITRATE = 192; // MP3 bitrate
+
+const MAX_URLS_PER_MESSAGE = 5; // Links handled from a single message (the rest are ignored)
+
+const BROADCAST_INTERVAL = 100; // ms between broadcast messages (Telegram allows ~30 per second)
+
+// Access control: admins (comma-separated user IDs) get the admin commands and are never limited
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map((id) => parseInt(id, 10)).filter(Boolean);
+
+// Defaults for the per-user limits, 0 = unlimited (admins can change them with /access)
+const ACCESS_DEFAULTS = {
+    dailyDownloads: parseInt(process.env.DAILY_DOWNLOAD_LIMIT, 10) || 0, // Files per user per day
+    dailyMB: parseInt(process.env.DAILY_MB_LIMIT, 10) || 0, // MB per user per day
+    rateRequests: parseInt(process.env.RATE_LIMIT_REQUESTS || '10', 10), // Links per window (0 turns it off)...
+    rateWindowMinutes: parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 10 // ...of this many minutes
+};
+
+// Download scheduling limits (how many yt-dlp processes may run at once)
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10) || 3; // All users combined
+const MAX_DOWNLOADS_PER_USER = parseInt(process.env.MAX_DOWNLOADS_PER_USER, 10) || 1; // Per Telegram user
+
+/**
+ * Metrics
+ * Served at /metrics in the Prometheus format (on the HTTP server, see HTTP_PORT).
+ * "kind" is the job type: download, playlist, inline, split or compress.
+ */
+const metrics = createMetrics({ prefix: 'mediabot_' });
+const probeCounter = metrics.counter('probes_total',
+    'Metadata lookups run with yt-dlp (cache hits excluded), result is "ok" or the failure cause', ['platform', 'result']);
+const probeDuration = metrics.histogram('probe_duration_seconds', 'Time taken by metadata lookups',
+    ['result'], [0.5, 1, 2.5, 5, 10, 20, 30, 60]);
+const jobCounter = metrics.counter('jobs_total', 'Finished jobs by result (success, failure, canceled)', ['platform', 'kind', 'result']);
+const failureCounter = metrics.counter('failures_total', 'Failed jobs by cause', ['platform', 'kind', 'cause']);
+const uploadedBytes = metrics.counter('uploaded_bytes_total', 'Bytes uploaded to Telegram', ['platform']);
+const cacheHits = metrics.counter('cache_hits_total', 'Files resent from the file_id cache instead of downloaded', ['platform']);
+const queueWait = metrics.histogram('queue_wait_seconds', 'Time jobs waited for a queue slot', ['kind']);
+const jobDuration = metrics.histogram('job_duration_seconds', 'End-to-end time of jobs, from queueing to the end', ['kind']);
+metrics.gauge('queue_jobs', 'Jobs in the download queue by state', () => {
+    const { running, waiting } = downloadQueue.list();
+    return [{ labels: { state: 'running' }, value: running.length }, { labels: { state: 'waiting' }, value: waiting.length }];
+});
+metrics.gauge('sessions', 'Open media sessions', () => activeDownloads.size);
+
+/**
+ * Download Workspace
+ * One working folder per job inside DOWNLOAD_FOLDER (created if missing)
+ */
+const workspace = createWorkspace({ root: DOWNLOAD_FOLDER, keep: ['Read.me'], logger });
+
+/**
+ * yt-dlp Adapter
+ * All metadata lookups and downloads go through this instance
+ */
+const ytdlp = createYtDlp({ binary: YT_DLP_PATH, timeout: METADATA_TIMEOUT });
+
+/**
+ * Media Prober
+ * One yt-dlp run per URL; repeated links are answered from the cache
+ */
+const prober = createProber({
+    ytdlp,
+    ttl: PROBE_CACHE_TTL,
+    onProbe: ({ seconds, platform, error }) => {
+        const result = error ? classifyFailure(error) : 'ok';
+        probeCounter.inc({ platform: platform || 'Unknown', result });
+        probeDuration.observe({ result }, seconds);
+    }
+});
+
+/**
+ * Size Estimator
+ * Sizes the exact streams of a chosen format before the download starts
+ */
+const sizeEstimator = createSizeEstimator({ prober, ytdlp, timeout: METADATA_TIMEOUT });
+
+/**
+ * Persistent Store
+ * fileIds: Telegram file_id of every upload, keyed by media + format,
+ * so repeated requests are answered without downloading again
+ * groupSettings: per-group options (auto-download or menu), keyed by chat ID
+ * users: everyone who talked to the bot in private, keyed by user ID (for /broadcast)
+ * languages: language picked with /language, keyed by user ID
+ * jobs: queued and running jobs, keyed by job ID (picked up again after a restart)
+ * pendingInputs: typed answers the bot is waiting for (see below)
+ * sessions: media sessions (see Active Downloads Tracking)
+ */
+const store = createStore({ backend: STORE_BACKEND, file: STORE_FILE, logger });
+const jobRecords = store.collection('jobs');
+const fileIdCache = store.collection('fileIds');
+const groupSettings = store.collection('groupSettings');
+const knownUsers = store.collection('users');
+const userLanguages = store.collection('languages');
+
+/**
+ * User Preferences
+ * Default mode, quality and delivery of every user, changed with /settings.
+ * Users who never opened /settings get the preset used by group auto-download.
+ */
+const preferences = createPreferences(store.collection('preferences'), {
+    mode: 'video',
+    videoHeight: PRESET_MAX_HEIGHT,
+    audioBitrate: PRESET_AUDIO_BITRATE,
+    sendAs: 'media',
+    auto: false
+});
+
+/**
+ * Translations
+ * Every message comes from locales/<language>.json; users get the language
+ * they picked with /language, or the one their Telegram app is set to
+ */
+const i18n = createI18n({ dir: path.join(__dirname, 'locales'), defaultLanguage: 'en' });
+
+/**
+ * Gets the language to talk to a user in
+ * @param {object} user - Telegram user (id, language_code)
+ * @returns {string} Supported language code
+ */
+function getLanguage(user) {
+    if (!user) return i18n.resolve();
+    return userLanguages.get(String(user.id)) || i18n.resolve(user.language_code);
+}
 
 /**
- * Ensure downloads directory exists
- * Creates the folder if it doesn't exist, including parent directories
+ * Gets the translator for a user
+ * @param {object} user - Telegram user (id, language_code)
+ * @returns {Function} t(key, params), see lib/i18n
  */
-if (!fs.existsSync(DOWNLOAD_FOLDER)) {
-    fs.mkdirSync(DOWNLOAD_FOLDER, { recursive: true });
+function translatorFor(user) {
+    return i18n.translator(getLanguage(user));
 }
 
+/**
+ * Download Statistics
+ * Downloads, failures and bytes served per platform (see /stats)
+ */
+const stats = createStats(store.collection('stats'));
+
+/**
+ * Access Policy
+ * Who may use the bot and how much, checked in front of every link,
+ * button press and inline query
+ */
+const accessPolicy = createAccessPolicy({
+    settings: store.collection('access'),
+    usage: store.collection('usage'),
+    adminIds: ADMIN_IDS,
+    defaults: ACCESS_DEFAULTS
+});
+
 /**
  * Initialize Telegram Bot
- * Uses long-polling method to receive updates
+ * Uses long-polling method to receive updates (unless a webhook is configured),
+ * against the public Bot API or a self-hosted server if TELEGRAM_API_URL is set
  */
 const bot = new TelegramBot(TOKEN, {
-    polling: {
+    polling: WEBHOOK_URL ? false : {
         interval: 300, // Check for updates every 300ms
-        autoStart: true, // Start polling immediately
+        autoStart: false, // Started by startReceiving() once any old webhook is removed
         params: {
             timeout: 10 // HTTP request timeout in seconds
         }
     },
+    // Point the bot at a self-hosted Bot API server when configured
+    ...(TELEGRAM_API_URL ? { baseApiUrl: TELEGRAM_API_URL.replace(/\/+$/, '') } : {}),
     request: {
-        timeout: 60000 // 60 second timeout for API requests
+        // 60 second timeout for API requests (30 minutes when multi-GB uploads are possible)
+        timeout: TELEGRAM_API_URL ? 30 * 60 * 1000 : 60000
     }
 });
 
+/**
+ * Callback Signer
+ * Buttons carry signed "action|sessionId" data that is checked on every press
+ */
+const callbackSigner = createCallbackSigner(CALLBACK_SECRET);
+
+/**
+ * Builds the signed callback data of a session button
+ * @param {string} action - Button action
+ * @param {string} sessionId - Session the button belongs to
+ * @returns {string} Callback data
+ */
+function signCallback(action, sessionId) {
+    return callbackSigner.sign(action, sessionId);
+}
+
+/**
+ * The bot's own user (ID and username), for spotting mentions and replies in groups
+ * Asked for once and kept; a failed getMe() is asked again on the next use.
+ */
+let botInfo = null; // Promise of getMe()
+
+/**
+ * Gets the bot's own user
+ * @returns {Promise<object>} Telegram User of the bot
+ */
+function getBotInfo() {
+    if (!botInfo) {
+        botInfo = bot.getMe().catch((err) => {
+            botInfo = null;
+            throw err;
+        });
+    }
+    return botInfo;
+}
+getBotInfo().catch((err) => logger.warn('Could not get bot info, asking again when needed', { err }));
+
 /**
  * Emoji Constants
  * Centralized emoji definitions for consistent usage throughout the bot
@@ -75,7 +351,9 @@ const EMOJI = {
     UPLOAD: '📤', SUCCESS: '✅', ERROR: '❌', WARNING: '⚠️',
     OPTIONS: '⚙️', LINK: '🔗', CLOCK: '⏳', TRASH: '🗑️',
     HEART: '❤️', PROGRESS: '📊', INFO: 'ℹ️', GLOBE: '🌐',
-    AUDIO: '🎧', BITRATE: '🔊', QUALITY: '📶', CANCEL: '❌'
+    AUDIO: '🎧', BITRATE: '🔊', QUALITY: '📶', CANCEL: '❌',
+    SCISSORS: '✂️', COMPRESS: '🗜️', LIST: '📋', CHECKED: '✅', UNCHECKED: '⬜️',
+    BROADCAST: '📣', BAN: '🚫', DISK: '💾', SPEED: '⚡'
 };
 
 /**
@@ -96,36 +374,69 @@ const fmt = {
     link: (text, url) => `<a href="${url}">${text}</a>`,
     
     // Preserves whitespace and formatting
-    pre: (text) => `<pre>${text}</pre>`
+    pre: (text) => `<pre>${text}</pre>`,
+
+    // Escapes outside text (titles, URLs, yt-dlp errors) for Telegram's HTML
+    escape: (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
 };
 
 /**
  * Active Downloads Tracking
- * Uses a Map to store download sessions by chat ID
+ * Download sessions by session ID, saved to the store so buttons survive
+ * restarts. Sessions left alone for SESSION_TTL expire unless a job or a
+ * kept oversized file still needs them.
+ */
+const activeDownloads = createSessionStore({
+    collection: store.collection('sessions'),
+    ttl: SESSION_TTL,
+    transient: ['abortController'],
+    isBusy: (session) => Boolean(session.jobQueued || session.oversizedFile)
+});
+
+/**
+ * Pending Text Inputs
+ * When the bot asks for typed input (e.g. a playlist range), the next
+ * message of that user in that chat is routed to the waiting session.
+ * Keyed by "chatId:userId", value is { sessionId, type }; unanswered
+ * questions expire like sessions.
+ */
+const pendingInputs = createSessionStore({ collection: store.collection('pendingInputs'), ttl: SESSION_TTL });
+
+/**
+ * Progress Message Throttling
+ * Last shown phase, percentage and time per progress message, keyed by
+ * "chatId:messageId" (several downloads can run in one chat)
+ */
+const progressMessages = createTtlCache({ ttl: DOWNLOAD_TIMEOUT });
+
+/**
+ * Download Queue
+ * Every download goes through this queue instead of starting yt-dlp directly
  */
-const activeDownloads = new Map();
+const downloadQueue = createDownloadQueue({
+    maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+    maxPerUser: MAX_DOWNLOADS_PER_USER
+});
 
 /**
- * Welcome Message
+ * Builds the welcome message
  * The introductory message shown to users when they start the bot
+ * @param {Function} t - Translator of the user
+ * @returns {string} HTML message
  */
-const welcomeMessage = `${EMOJI.WAVE} ${fmt.bold('Media Downloader Pro')}
+function buildWelcomeMessage(t) {
+    return `${EMOJI.WAVE} ${fmt.bold(t('welcome.title'))}
 
-${fmt.italic('A social media downloader bot developed by @singsongadisu')}
+${fmt.italic(t('welcome.credit'))}
 
-${fmt.bold('Features:')}
-• Download from YouTube, Instagram, TikTok and more
-• Multiple quality options
-• Real-time progress tracking
-• Automatic format conversion
-• File size checking
+${fmt.bold(t('welcome.featuresTitle'))}
+${t('welcome.features')}
 
-${fmt.bold('How to use:')}
-1. Send me any media link
-2. I'll show you download options
-3. Get your file (under 50MB)
+${fmt.bold(t('welcome.howTitle'))}
+${t('welcome.how', { maxSize: MAX_FILE_SIZE_LABEL })}
 
-${fmt.italic('Note: Some platforms may have restrictions')}`;
+${fmt.italic(t('welcome.note'))}`;
+}
 
 /**
  * Helper Functions
@@ -158,85 +469,229 @@ function createProgressBar(percent) {
 }
 
 /**
- * Cleans up temporary/downloaded files
- * @param {...string} files - File paths to delete
+ * Formats a clip range for display
+ * @param {object} clip - { start, end } in seconds
+ * @returns {string} e.g. "1:30–2:00"
  */
-async function cleanupFiles(...files) {
-    for (const file of files) {
-        try {
-            if (file && fs.existsSync(file)) {
-                fs.unlinkSync(file); // Delete each file
-            }
-        } catch (err) {
-            console.error('Error cleaning up file:', err);
-        }
-    }
+function formatClip(clip) {
+    return `${formatDuration(clip.start)}–${formatDuration(clip.end)}`;
 }
 
 /**
- * Gets the original filename from a media URL using yt-dlp
- * @param {string} url - Media URL to check
- * @returns {string} Sanitized filename with extension
+ * Checks a clip range against the media duration
+ * @param {object} clip - { start, end } in seconds
+ * @param {number} duration - Media duration in seconds (0 if unknown)
+ * @param {Function} t - Translator of the user
+ * @returns {string|null} Problem description, null if the range is usable
  */
-async function getOriginalFilename(url) {
-    try {
-        // Command to extract original filename using yt-dlp
-        const command = `"${YT_DLP_PATH}" --get-filename -o "%(title)s.%(ext)s" --no-warnings "${url}"`;
-        
-        // Execute synchronously and get filename
-        const filename = execSync(command, { 
-            encoding: 'utf-8',
-            windowsHide: true // Hide terminal window on Windows
-        }).trim();
-        
-        // Sanitize the filename
-        const sanitized = filename
-            .replace(/[<>:"\/\\|?*]/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-            
-        // Ensure filename has an extension
-        if (!sanitized.includes('.')) {
-            return `${sanitized}.mp4`; // Default to mp4 if no extension
-        }
-        return sanitized;
-    } catch (error) {
-        console.error('Error getting filename:', error.message);
-        // Fallback filename with timestamp if extraction fails
-        return `media_${Date.now().toString(36)}.mp4`;
+function validateClip(clip, duration, t) {
+    if (!duration) return null; // Nothing to check against, yt-dlp will cut what exists
+    if (clip.start >= duration) return t('clip.tooLong', { duration: formatDuration(duration) });
+    if (clip.end > duration) return t('clip.endsAfter', { duration: formatDuration(duration) });
+    return null;
+}
+
+/**
+ * Gets the length of what a session downloads (the clip if one is set)
+ * @param {object} session - Download session
+ * @returns {number} Duration in seconds
+ */
+function getMediaDuration(session) {
+    return session.clip ? session.clip.end - session.clip.start : session.duration;
+}
+
+/**
+ * Builds the yt-dlp arguments that tag an extracted audio file
+ * Artist, title and album come from the music metadata when the site has
+ * it, otherwise from the uploader and video title.
+ * @param {string} format - Audio output format (mp3, m4a, opus, flac, wav)
+ * @returns {string[]} yt-dlp arguments
+ */
+function audioTagArgs(format) {
+    const args = [
+        '--embed-metadata',
+        '--parse-metadata', '%(artist,creator,uploader,channel|)s:%(meta_artist)s',
+        '--parse-metadata', '%(track,title|)s:%(meta_title)s',
+        '--parse-metadata', '%(album|)s:%(meta_album)s'
+    ];
+    if (format !== 'wav') args.push('--embed-thumbnail'); // WAV has no cover art
+    return args;
+}
+
+/**
+ * Builds the yt-dlp arguments that download a video/audio option
+ * @param {object} option - Chosen video/audio option (see lib/formats)
+ * @param {object} target - Where and what to download
+ * @param {boolean} target.isAudio - Extract audio instead of downloading video
+ * @param {string} target.cleanTitle - Output file name without extension
+ * @param {string} target.dir - Working folder of the job (see workspace.create)
+ * @param {object} [target.clip] - Only download this { start, end } range (seconds)
+ * @returns {object} { args, filePath } yt-dlp arguments and the resulting file
+ */
+function buildDownloadArgs(option, { isAudio, cleanTitle, dir, clip }) {
+    let args, filePath;
+
+    if (isAudio) {
+        filePath = path.join(dir, `${cleanTitle}.${option.format}`);
+        // Without a bitrate yt-dlp keeps the source stream (or its best quality for lossless formats)
+        args = ['-f', option.selector, '-x', '--audio-format', option.format,
+                ...(option.bitrate ? ['--audio-quality', `${option.bitrate}K`] : []),
+                ...audioTagArgs(option.format),
+                '--output', path.join(dir, `${cleanTitle}.%(ext)s`)];
+    } else {
+        filePath = path.join(dir, `${cleanTitle}.mp4`);
+        args = ['-f', option.selector, '--merge-output-format', 'mp4', '--remux-video', 'mp4',
+                '--output', filePath];
+    }
+
+    // Only fetch the requested section (cut on exact frames, not the nearest keyframe)
+    if (clip) {
+        args.push('--download-sections', `*${clip.start}-${clip.end}`, '--force-keyframes-at-cuts');
     }
+
+    return { args, filePath };
+}
+
+/**
+ * Gets the title and performer Telegram should show for a session's audio
+ * @param {object} session - Download session
+ * @returns {object} { title, performer }
+ */
+function getTrackTags(session) {
+    return {
+        title: session.track || session.title,
+        performer: session.artist || session.uploader || session.platform
+    };
+}
+
+/**
+ * Builds the file_id cache key of a download choice
+ * The same media in the same format (and clip) gives the same key, whichever
+ * form of the link was sent.
+ * @param {object} session - Download session
+ * @param {object} option - Chosen video/audio option
+ * @returns {string} Cache key
+ */
+function getCacheKey(session, option) {
+    const source = session.mediaId
+        ? `${session.platform}:${session.mediaId}`
+        : (session.webpageUrl || session.originalUrl);
+    const output = option.format ? `${option.format}:${option.bitrate || 'source'}` : 'mp4';
+    const document = session.asDocument ? '#document' : ''; // Documents have their own file_id
+    const clip = session.clip ? `@${session.clip.start}-${session.clip.end}` : '';
+    return `${source}|${option.selector}|${output}${document}${clip}`;
+}
+
+/**
+ * Builds the caption of a finished download
+ * @param {object} session - Download session
+ * @param {string} quality - Human readable quality label
+ * @param {string} sizeMB - File size in MB
+ * @returns {string} HTML caption
+ */
+function buildCompleteCaption(session, quality, sizeMB) {
+    const t = i18n.translator(session.lang);
+    return `${EMOJI.SUCCESS} ${fmt.bold(t('download.complete'))}\n\n` +
+           `${fmt.bold(t('common.title'))} ${fmt.escape(session.title)}\n` +
+           `${fmt.bold(t('common.quality'))} ${quality}\n` +
+           (session.clip ? `${fmt.bold(t('common.clip'))} ${formatClip(session.clip)}\n` : '') +
+           `${fmt.bold(t('common.size'))} ${sizeMB}MB`;
+}
+
+/**
+ * Checks whether the download disk is too full to start another job
+ * @returns {Promise<boolean>} True when free space is below MIN_FREE_DISK_MB
+ */
+async function isDiskLow() {
+    const free = await workspace.freeSpace().catch((err) => {
+        logger.error('Could not read free disk space', { err });
+        return null;
+    });
+    return free !== null && free < MIN_FREE_DISK;
+}
+
+/**
+ * Builds the refusal shown when the disk is too full for a new job
+ * @param {Function} t - Translator of the user
+ * @returns {string} HTML message
+ */
+function describeDiskFull(t) {
+    return `${EMOJI.WARNING} ${fmt.bold(t('download.diskFull'))}\n\n${fmt.italic(t('download.diskFullHint'))}`;
+}
+
+/**
+ * Drops what a session doesn't need from probed formats
+ * Sessions are saved for SESSION_TTL, while signed stream URLs expire within
+ * hours (sizing reads them from the prober, which probes again when needed).
+ * @param {object[]} formats - Normalized formats (see lib/probe)
+ * @returns {object[]} Formats without their stream URLs
+ */
+function compactFormats(formats) {
+    return formats.map(({ url, protocol, ...format }) => format);
+}
+
+/**
+ * Keeps the fields of playlist entries the picker and the batch download use
+ * @param {object[]} entries - Normalized playlist entries (see lib/probe)
+ * @returns {object[]} { index, title, duration, uploader } per entry
+ */
+function compactEntries(entries) {
+    return entries.map(({ index, title, duration, uploader }) => ({ index, title, duration, uploader }));
 }
 
 /**
  * Gets detailed information about a video using yt-dlp
  * @param {string} url - Video URL to analyze
- * @returns {object} Video metadata including title, duration, etc.
+ * @returns {object} Video metadata including title, duration, etc. (or entries for playlists)
  */
 async function getVideoInfo(url) {
     try {
-        // Command to get full video info as JSON
-        const infoCommand = `"${YT_DLP_PATH}" --dump-json --no-warnings "${url}"`;
-        const infoStr = execSync(infoCommand, { 
-            encoding: 'utf-8', 
-            maxBuffer: 10 * 1024 * 1024, // 10MB max output buffer
-            windowsHide: true
-        }).trim();
-        
-        const info = JSON.parse(infoStr); // Parse JSON response
-        const originalFilename = await getOriginalFilename(url);
+        // Single probe (or cache hit) gives us title, filename, formats and thumbnail
+        const info = await prober.probe(url);
+
+        // Playlists/carousels: return the entry list instead of formats
+        if (info.isPlaylist) {
+            const cleanTitle = sanitizeFilename(info.title || '') || `Playlist_${Date.now().toString(36)}`;
+            return {
+                isPlaylist: true,
+                title: info.title || cleanTitle,
+                cleanTitle,
+                platform: info.platform,
+                duration: info.entries.reduce((total, entry) => total + entry.duration, 0),
+                thumbnail: info.thumbnail,
+                uploader: info.uploader,
+                entries: info.entries
+            };
+        }
+
+        // Sanitize the original filename, falling back to a timestamped one
+        const sanitized = (info.filename || '')
+            .replace(/[<>:"\/\\|?*]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const originalFilename = sanitized
+            ? (sanitized.includes('.') ? sanitized : `${sanitized}.mp4`) // Default to mp4 if no extension
+            : `media_${Date.now().toString(36)}.mp4`;
         const cleanTitle = originalFilename.replace(/\.[^/.]+$/, ''); // Remove extension
 
         return {
+            id: info.id, // ID on the source platform (used to recognize the same media behind different links)
+            webpageUrl: info.webpageUrl,
             title: info.title || cleanTitle, // Fallback to filename if no title
             cleanTitle: cleanTitle,
-            platform: info.extractor || 'Unknown', // Video source platform
+            platform: info.platform, // Video source platform
             originalFilename: originalFilename,
-            duration: info.duration || 0, // Duration in seconds
-            thumbnail: info.thumbnail || null, // Video thumbnail URL
-            ext: info.ext || 'mp4' // Default to mp4 if no extension
+            duration: info.duration, // Duration in seconds
+            thumbnail: info.thumbnail, // Video thumbnail URL
+            ext: info.ext,
+            uploader: info.uploader,
+            artist: info.artist, // Music metadata for audio tags (null when unknown)
+            track: info.track,
+            album: info.album,
+            formats: info.formats // Available streams (for the quality menus)
         };
     } catch (error) {
-        console.error('Error getting video info:', error.message);
+        logger.warn('Could not get media info, using fallback data', { url, phase: 'probe', cause: classifyFailure(error), err: error });
         // Fallback data if info extraction fails
         const fallbackTitle = `Media_${Date.now().toString(36)}`;
         return {
@@ -246,7 +701,8 @@ async function getVideoInfo(url) {
             originalFilename: `${fallbackTitle}.mp4`,
             duration: 0,
             thumbnail: null,
-            ext: 'mp4'
+            ext: 'mp4',
+            formats: []
         };
     }
 }
@@ -255,49 +711,77 @@ async function getVideoInfo(url) {
  * Updates download progress message in Telegram
  * @param {number} chatId - Target chat ID
  * @param {number} messageId - Message to update
- * @param {number} progress - Current progress percentage
- * @param {string} [title] - Media title
- * @param {string} [platform] - Source platform
+ * @param {number|null} progress - Current progress percentage (null for steps without one)
+ * @param {object} details - What to show
+ * @param {Function} details.t - Translator of the user
+ * @param {string} [details.title] - Media title
+ * @param {string} [details.platform] - Source platform
+ * @param {string} [details.phase] - What is in progress (download, merging, uploading, compressing, playlist...)
+ * @param {object} [details.transfer] - Sizes and speed (downloadedBytes, totalBytes, speed, eta)
+ * @param {string} [details.sessionId] - Session of the job (adds a Cancel button)
  */
-async function updateProgress(chatId, messageId, progress, title = '', platform = '') {
+async function updateProgress(chatId, messageId, progress, { t, title = '', platform = '', phase = 'download', transfer = {}, sessionId }) {
+    // A canceled job may still report progress until its processes are gone
+    if (sessionId && !activeDownloads.has(sessionId)) return;
+
     // Ensure progress never exceeds 100%
-    progress = Math.min(progress, 100);
-    
-    const session = activeDownloads.get(chatId) || {};
+    if (progress !== null) progress = Math.min(progress, 100);
+
+    const key = `${chatId}:${messageId}`;
+    const last = progressMessages.get(key);
     const now = Date.now();
 
-    // Only update if significant change or enough time passed
-    if (Math.abs(progress - (session.lastProgress || -1)) < MIN_PROGRESS_CHANGE ||
-        (session.lastUpdateTime && now - session.lastUpdateTime < PROGRESS_UPDATE_INTERVAL)) {
+    // A new phase is always shown; within a phase only after a while, and on real changes
+    const hasTransfer = Boolean(transfer.speed || transfer.eta);
+    if (last && last.phase === phase &&
+        (now - last.time < PROGRESS_UPDATE_INTERVAL ||
+         (!hasTransfer && Math.abs(progress - last.progress) < MIN_PROGRESS_CHANGE))) {
         return;
     }
+    progressMessages.set(key, { phase, progress, time: now });
 
     // Construct progress message with visual bar
-    const message = `${EMOJI.PROGRESS} ${fmt.bold('Download Progress')}\n\n` +
-                   `${createProgressBar(progress)}\n\n` +
-                   `${EMOJI.INFO} ${fmt.italic(title || 'Processing')}\n` +
-                   (platform ? `${EMOJI.GLOBE} Source: ${platform}\n` : '');
+    const status = (progress !== null ? `${createProgressBar(progress)}\n` : '') + describeTransfer(transfer, t);
+    const message = `${EMOJI.PROGRESS} ${fmt.bold(t(`progress.${phase}`))}\n\n` +
+                   (status ? `${status}\n` : '') +
+                   `${EMOJI.INFO} ${fmt.italic(title ? fmt.escape(title) : t('progress.processing'))}\n` +
+                   (platform ? `${EMOJI.GLOBE} ${t('progress.source', { platform })}\n` : '');
 
     try {
         // Edit the existing progress message
         await bot.editMessageText(message, {
             chat_id: chatId,
             message_id: messageId,
-            parse_mode: 'HTML'
+            parse_mode: 'HTML',
+            reply_markup: sessionId ? buildCancelKeyboard(sessionId, t) : undefined
         });
-
-        // Update session tracking
-        session.lastProgress = progress;
-        session.lastUpdateTime = now;
-        activeDownloads.set(chatId, session);
     } catch (e) {
         // Ignore "message not modified" errors
         if (!e.message.includes('message is not modified')) {
-            console.error('Progress update error:', e.message);
+            logger.warn('Progress update failed', { sessionId, chatId, platform, phase, err: e });
         }
     }
 }
 
+/**
+ * Formats the size, speed and remaining time of a transfer
+ * @param {object} transfer - { downloadedBytes, totalBytes, speed, eta } (any may be missing)
+ * @param {Function} t - Translator of the user
+ * @returns {string} One line (ending with a newline), empty when nothing is known
+ */
+function describeTransfer({ downloadedBytes, totalBytes, speed, eta }, t) {
+    const toMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    const parts = [];
+    if (totalBytes) {
+        parts.push(`${EMOJI.DISK} ${downloadedBytes !== null && downloadedBytes !== undefined
+            ? t('progress.sizeOf', { done: toMB(downloadedBytes), total: toMB(totalBytes) })
+            : toMB(totalBytes)}`);
+    }
+    if (speed) parts.push(`${EMOJI.SPEED} ${t('progress.speed', { speed: toMB(speed) })}`);
+    if (eta !== null && eta !== undefined) parts.push(`${EMOJI.CLOCK} ${t('progress.eta', { time: formatDuration(eta) })}`);
+    return parts.length ? `${parts.join(' · ')}\n` : '';
+}
+
 /**
  * Checks file size and returns in bytes/MB
  * @param {string} filePath - Path to file
@@ -317,52 +801,25 @@ async function checkFileSize(filePath) {
 }
 
 /**
- * Estimates file size before downloading
+ * Estimates the size of the chosen option before downloading
  * @param {string} url - Media URL
- * @param {string} formatType - Chosen format (video/audio)
+ * @param {object} option - Chosen video/audio option
+ * @param {boolean} isAudio - Whether the option is an audio extraction
  * @returns {object} Contains size info or estimation failure
  */
-async function estimateFileSize(url, formatType) {
+async function estimateFileSize(url, option, isAudio) {
     try {
-        let command;
-        // Different commands for audio vs video
-        if (formatType.startsWith('audio_')) {
-            command = `"${YT_DLP_PATH}" -f bestaudio -x --get-url --no-warnings "${url}"`;
-        } else {
-            command = `"${YT_DLP_PATH}" -f "best[height<=720][ext=mp4]/best[ext=mp4]" --get-url --no-warnings "${url}"`;
-        }
-        
-        // Get the actual media stream URL
-        const streamUrl = execSync(command, { 
-            encoding: 'utf-8',
-            windowsHide: true
-        }).trim();
-        
-        if (!streamUrl) return { estimated: false };
-
-        // Platform-specific command to get content length header
-        const curlCommand = process.platform === 'win32'
-            ? `curl -sI "${streamUrl}" | findstr /i "content-length"`
-            : `curl -sI "${streamUrl}" | grep -i "content-length"`;
-        
-        // Execute content length check
-        const contentLength = execSync(curlCommand, { 
-            encoding: 'utf-8',
-            windowsHide: true 
-        }).trim();
-        
-        // Extract size from headers
-        const sizeBytes = parseInt(contentLength.split(':')[1].trim());
-        
-        if (isNaN(sizeBytes)) return { estimated: false };
+        // Size from the format list when known, otherwise look up the selected streams
+        const size = option.size || await sizeEstimator.estimate(url, option, isAudio);
+        if (!size) return { estimated: false };
 
         return {
-            size: sizeBytes,
-            sizeMB: (sizeBytes / (1024 * 1024)).toFixed(2),
+            size,
+            sizeMB: (size / (1024 * 1024)).toFixed(2),
             estimated: true
         };
     } catch (error) {
-        console.error('Error estimating file size:', error.message);
+        logger.warn('Could not estimate file size', { url, phase: 'estimate', err: error });
         return {
             estimated: false,
             error: 'Could not estimate file size'
@@ -370,163 +827,2416 @@ async function estimateFileSize(url, formatType) {
     }
 }
 
-/* ====================== */
-/* BOT COMMAND HANDLERS   */
-/* ====================== */
-
 /**
- * Handle /start and /help commands
- * Sends the welcome message to users
+ * Shows a waiting job's position in the queue in its progress message
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Progress message to update
+ * @param {number} position - 1-based position in the queue
+ * @param {string} sessionId - Session of the job
+ * @param {string} quality - Selected quality
  */
-bot.onText(/\/start|\/help/, (msg) => {
-    bot.sendMessage(msg.chat.id, welcomeMessage, { 
-        parse_mode: 'HTML',
-        disable_web_page_preview: true // Prevent link preview in welcome message
-    });
-});
+async function showQueuePosition(chatId, messageId, position, sessionId, quality) {
+    const session = activeDownloads.get(sessionId);
+    if (!session) return; // Canceled meanwhile
 
-/**
- * Auto-welcome new users in private chats
- * Sends welcome message when user first interacts
- */
-bot.on('message', (msg) => {
-    // Only in private chats and not command messages
-    if (msg.chat.type === 'private' && !msg.text?.startsWith('/')) {
-        // Only send welcome if it's the first message
-        if (!msg.text) {
-            bot.sendMessage(msg.chat.id, welcomeMessage, {
-                parse_mode: 'HTML',
-                disable_web_page_preview: true
-            });
+    const t = i18n.translator(session.lang);
+    try {
+        await bot.editMessageText(
+            `${EMOJI.CLOCK} ${fmt.bold(t('queue.queued'))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(session.title)}\n` +
+            `${fmt.bold(t('common.quality'))} ${quality}\n` +
+            `${fmt.bold(t('queue.position'))} ${position}\n\n` +
+            `${fmt.italic(t('queue.startsAutomatically'))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: buildCancelKeyboard(sessionId, t) }
+        );
+    } catch (e) {
+        if (!e.message.includes('message is not modified')) {
+            logger.warn('Queue position update failed', { sessionId, chatId, err: e });
         }
     }
-});
+}
 
 /**
- * Handle /cancel command
- * Stops active downloads for the user
+ * Runs a download job once the queue gives it a slot
+ * Starts yt-dlp, reports progress and sends the finished file
+ * @param {object} job - Download job details
+ * @param {string} job.sessionId - Session the download belongs to
+ * @param {number} job.chatId - Target chat ID
+ * @param {number} job.messageId - Progress message to update
+ * @param {object} job.option - Chosen video/audio option (see lib/formats)
+ * @param {boolean} job.isAudio - Whether the output is audio
+ * @param {string} job.quality - Human readable quality label
+ * @param {object} job.sizeEstimate - Result of estimateFileSize()
+ * @param {Array<number|null>} [job.streamSizes] - Expected sizes of the streams yt-dlp downloads
+ * @returns {Promise<void>} Resolves when the job is finished (successfully or not)
  */
-bot.onText(/\/cancel/, (msg) => {
-    const chatId = msg.chat.id;
-    const session = activeDownloads.get(chatId);
-    
-    if (session && session.downloadProcess) {
-        // Kill the active download process
-        session.downloadProcess.kill();
-        bot.sendMessage(chatId, `${EMOJI.CANCEL} ${fmt.bold('Download canceled!')}`, {
-            parse_mode: 'HTML'
-        });
-        activeDownloads.delete(chatId);
-    } else {
-        bot.sendMessage(chatId, `${EMOJI.INFO} ${fmt.bold('No active download to cancel')}`, {
-            parse_mode: 'HTML'
-        });
+async function runDownload({ sessionId, chatId, messageId, option, isAudio, quality, sizeEstimate, streamSizes = [] }) {
+    const session = activeDownloads.get(sessionId);
+    if (!session) return; // Session was canceled while waiting in the queue
+
+    const { title, platform } = session;
+    const t = i18n.translator(session.lang);
+    const log = logger.child({ sessionId, chatId, platform });
+
+    // The disk can fill up while the job waits in the queue
+    if (await isDiskLow()) {
+        log.warn('Download not started, disk almost full', { phase: 'download' });
+        activeDownloads.delete(sessionId);
+        await bot.editMessageText(describeDiskFull(t), { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' });
+        return;
     }
-});
 
-/**
- * Handle media URL messages
- * Processes links sent by users and initiates download
- */
-bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const text = msg.text;
+    // Update message to show download starting
+    await bot.editMessageText(
+        `${EMOJI.DOWNLOAD} ${fmt.bold(t('download.starting'))}\n\n` +
+        `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+        `${fmt.bold(t('common.quality'))} ${quality}\n` +
+        (session.clip ? `${fmt.bold(t('common.clip'))} ${formatClip(session.clip)}\n` : '') +
+        (sizeEstimate.estimated ? `${fmt.bold(t('common.estimatedSize'))} ${sizeEstimate.sizeMB}MB\n` : '') +
+        `${fmt.italic(t('common.takesMoments'))}`,
+        { 
+            chat_id: chatId, 
+            message_id: messageId, 
+            parse_mode: 'HTML',
+            reply_markup: buildCancelKeyboard(sessionId, t)
+        }
+    );
+
+    // Start the download process (abortable through the session)
+    const abortController = new AbortController();
+    session.abortController = abortController;
+    let keepFile = false; // Oversized files stay until split or discarded
+    let workDir = null;
 
-    // Ignore non-text messages and commands
-    if (!text || text.startsWith('/')) return;
+    // Overall progress across the streams of the format and the post-processing steps
+    const tracker = createProgressTracker({ expectedSizes: streamSizes });
+    let phase = 'download'; // Step a failure happened in (for the logs)
 
-    // Validate URL format
     try {
-        new URL(text);
-    } catch {
-        return bot.sendMessage(
-            chatId,
-            `${EMOJI.ERROR} ${fmt.bold('Invalid URL!')}\n\n` +
-            `${fmt.italic('Please send a valid media link from supported platforms:')}\n` +
-            `${fmt.code('YouTube, Instagram, TikTok, Twitter, etc.')}`,
-            { 
-                parse_mode: 'HTML',
-                disable_web_page_preview: true
+        // Own folder for this job: its partial and temporary files go with it
+        workDir = await workspace.create();
+        const { args, filePath } = buildDownloadArgs(option, { isAudio, cleanTitle: session.cleanTitle, dir: workDir, clip: session.clip });
+
+        await ytdlp.download(session.originalUrl, args, {
+            signal: abortController.signal,
+            timeout: DOWNLOAD_TIMEOUT,
+            onLine: (line) => {
+                if (!tracker.update(line)) return;
+                const { phase: step, percent, ...transfer } = tracker.state();
+                phase = step;
+                updateProgress(chatId, messageId, phase === 'download' ? percent : null, { t, title, platform, phase, transfer, sessionId });
             }
-        );
-    }
+        });
 
-    try {
-        // Send initial processing message
-        const sentMessage = await bot.sendMessage(
-            chatId,
-            `${EMOJI.CLOCK} ${fmt.bold('Checking link...')}\n\n` +
-            `${fmt.italic('Please wait while I analyze the media')}`,
-            { parse_mode: 'HTML' }
-        );
+        if (!fs.existsSync(filePath)) throw new Error(t('download.fileMissing'));
 
-        // Extract video info and create session
-        const { title, cleanTitle, platform, duration, thumbnail } = await getVideoInfo(text);
-        const sessionId = crypto.randomBytes(8).toString('hex'); // Unique session ID
+        const { size, sizeMB } = await checkFileSize(filePath);
+        if (size === 0) throw new Error(t('download.fileEmpty'));
 
-        // Store session info for tracking
-        activeDownloads.set(sessionId, {
-            originalUrl: text,
-            title,
-            cleanTitle,
-            platform,
-            duration,
-            thumbnail,
-            timestamp: Date.now()
-        });
+        // Final size check (in case estimation was wrong)
+        if (size > MAX_FILE_SIZE) {
+            // Keep the file so it can still be split into sendable parts
+            keepFile = true;
+            session.oversizedFile = { filePath, dir: workDir, isAudio, quality };
+            activeDownloads.markChanged(sessionId);
 
-        // Prepare format selection buttons
-        const options = {
-            reply_markup: {
-                inline_keyboard: [
-                    [{
-                        text: `${EMOJI.VIDEO} Video Options`,
-                        callback_data: `video_menu|${sessionId}`
-                    }],
-                    [{
-                        text: `${EMOJI.AUDIO} Audio Options`,
-                        callback_data: `audio_menu|${sessionId}`
-                    }]
-                ]
-            },
-            parse_mode: 'HTML'
+            // User already chose "Download & split/compress" before the download
+            if (session.oversizeAction === 'split') {
+                await splitAndSend(sessionId, chatId, messageId);
+                return;
+            }
+            if (session.oversizeAction === 'compress') {
+                await compressAndSend(sessionId, chatId, messageId);
+                return;
+            }
+
+            expireOversizedFile(sessionId);
+            await bot.editMessageText(
+                `${EMOJI.WARNING} ${fmt.bold(t('oversize.title'))}\n\n` +
+                `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                `${fmt.bold(t('common.size'))} ${t('oversize.sizeOfMax', { size: sizeMB, max: MAX_FILE_SIZE_LABEL })}\n\n` +
+                `${fmt.italic(t('oversize.afterDownloadHint'))}`,
+                {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    parse_mode: 'HTML',
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{
+                                text: `${EMOJI.SCISSORS} ${t('oversize.split')}`,
+                                callback_data: signCallback('split', sessionId)
+                            }],
+                            [{
+                                text: `${EMOJI.COMPRESS} ${t('oversize.compress', { max: MAX_FILE_SIZE_LABEL })}`,
+                                callback_data: signCallback('compress', sessionId)
+                            }],
+                            [{
+                                text: `${EMOJI.CANCEL} ${t('common.cancel')}`,
+                                callback_data: signCallback('cancel', sessionId)
+                            }]
+                        ]
+                    }
+                }
+            );
+            return;
+        }
+
+        // Show the upload instead of a silent gap until the file arrives
+        phase = 'uploading';
+        const reportUpload = (percent, transfer) =>
+            updateProgress(chatId, messageId, percent, { t, title, platform, phase: 'uploading', transfer, sessionId });
+        await reportUpload(0, { downloadedBytes: 0, totalBytes: size });
+
+        // Show appropriate upload indicator
+        await bot.sendChatAction(chatId, isAudio ? 'upload_audio' : 'upload_video');
+
+        // Send the downloaded file
+        const sent = await sendMediaFile(chatId, filePath, {
+            isAudio,
+            asDocument: session.asDocument,
+            caption: buildCompleteCaption(session, quality, sizeMB),
+            ...getTrackTags(session),
+            duration: getMediaDuration(session),
+            replyMarkup: buildPresetKeyboard(session),
+            onProgress: reportUpload,
+            signal: abortController.signal
+        });
+        rememberFileId(session.cacheKey, sent, { isAudio, asDocument: session.asDocument, quality, sizeMB });
+        recordDelivery(session.userId, platform, size, 'download');
+        log.info('Download sent', { phase, quality, bytes: size });
+
+        // Delete the progress message
+        try {
+            await bot.deleteMessage(chatId, messageId);
+        } catch (deleteError) {
+            log.warn('Could not delete progress message', { err: deleteError });
+        }
+
+    } catch (err) {
+        // A canceled download was already reported by cancelSessionJob()
+        if (err.canceled || abortController.signal.aborted) {
+            recordCanceled(platform, 'download');
+            log.info('Download canceled', { phase });
+            return;
+        }
+
+        const cause = recordFailure(platform, 'download', err);
+        log.error('Download failed', { phase, cause, err });
+        await bot.editMessageText(
+            `${EMOJI.ERROR} ${fmt.bold(t('download.failed'))}\n\n` +
+            `${fmt.italic(fmt.escape(err.message))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.italic(t('download.failedHint'))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+        );
+    } finally {
+        // Cleanup downloaded (and partially downloaded) files and session
+        if (!keepFile) {
+            await workspace.remove(workDir);
+            activeDownloads.delete(sessionId);
+        }
+    }
+}
+
+/**
+ * Sends a media file as audio, video or document
+ * @param {number} chatId - Target chat ID
+ * @param {string} filePath - File to upload (ignored when fileId is given)
+ * @param {object} options - Send options
+ * @param {boolean} options.isAudio - Send with sendAudio instead of sendVideo
+ * @param {boolean} [options.asDocument] - Send the file as is with sendDocument (user preference)
+ * @param {string} options.caption - HTML caption
+ * @param {string} [options.title] - Track title (audio only)
+ * @param {string} [options.performer] - Track performer (audio only)
+ * @param {number} [options.duration] - Length in seconds (audio only)
+ * @param {string} [options.fileId] - Resend a file Telegram already has instead of uploading
+ * @param {object} [options.replyMarkup] - Buttons under the file
+ * @param {Function} [options.onProgress] - Called with the uploaded percentage while the file is sent
+ * @param {AbortSignal} [options.signal] - Stops the upload midway
+ * @returns {Promise<object>} The sent Telegram message
+ */
+async function sendMediaFile(chatId, filePath, { onProgress, signal, ...options }) {
+    if (options.fileId) return sendMedia(chatId, options.fileId, options);
+
+    const { size } = await fs.promises.stat(filePath);
+    const stream = fs.createReadStream(filePath);
+    const onAbort = () => stream.destroy(Object.assign(new Error('Canceled'), { canceled: true }));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    // Report how much of the file the upload has read so far
+    const timer = onProgress && size
+        ? setInterval(() => onProgress(Math.round(stream.bytesRead / size * 100), { downloadedBytes: stream.bytesRead, totalBytes: size }),
+            PROGRESS_UPDATE_INTERVAL)
+        : null;
+
+    try {
+        return await sendMedia(chatId, stream, options);
+    } finally {
+        clearInterval(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Sends a file stream or file_id with the method matching its kind
+ * @param {number} chatId - Target chat ID
+ * @param {ReadStream|string} media - File contents or file_id
+ * @param {object} options - Same as sendMediaFile()
+ * @returns {Promise<object>} The sent Telegram message
+ */
+function sendMedia(chatId, media, { isAudio, asDocument, caption, title, performer, duration, replyMarkup }) {
+    if (asDocument) {
+        return bot.sendDocument(chatId, media, {
+            caption,
+            parse_mode: 'HTML',
+            reply_markup: replyMarkup
+        });
+    }
+    if (isAudio) {
+        return bot.sendAudio(chatId, media, {
+            title,
+            performer,
+            duration: duration ? Math.round(duration) : undefined,
+            caption,
+            parse_mode: 'HTML',
+            reply_markup: replyMarkup
+        });
+    }
+    return bot.sendVideo(chatId, media, {
+        caption,
+        parse_mode: 'HTML',
+        reply_markup: replyMarkup
+    });
+}
+
+/**
+ * Remembers the file_id of an upload for instant resending
+ * @param {string} key - Cache key (see getCacheKey)
+ * @param {object} message - Message returned by sendAudio/sendVideo/sendDocument
+ * @param {object} details - { isAudio, asDocument, quality, sizeMB } of the sent file
+ */
+function rememberFileId(key, message, { isAudio, asDocument = false, quality, sizeMB }) {
+    // Telegram may have stored a video as a document, which sendVideo can't resend
+    const media = message && (asDocument ? message.document : (isAudio ? message.audio : message.video));
+    if (!key || !media) return;
+
+    fileIdCache.set(key, { fileId: media.file_id, isAudio, asDocument, quality, sizeMB, savedAt: Date.now() });
+
+    // Forget the oldest uploads once the cache is full
+    const keys = fileIdCache.keys();
+    for (let i = 0; i < keys.length - FILE_ID_CACHE_MAX; i++) {
+        fileIdCache.delete(keys[i]);
+    }
+}
+
+/**
+ * Answers a download choice with an earlier upload of the same file
+ * @param {string} sessionId - Session with its cacheKey set
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Menu/progress message to remove once sent
+ * @returns {Promise<boolean>} True if the cached file was sent, false to download it
+ */
+async function sendCachedFile(sessionId, chatId, messageId) {
+    const session = activeDownloads.get(sessionId);
+    const cached = fileIdCache.get(session.cacheKey);
+    if (!cached) return false;
+
+    try {
+        await sendMediaFile(chatId, null, {
+            fileId: cached.fileId,
+            isAudio: cached.isAudio,
+            asDocument: cached.asDocument,
+            caption: buildCompleteCaption(session, session.quality, cached.sizeMB),
+            ...getTrackTags(session),
+            duration: getMediaDuration(session),
+            replyMarkup: buildPresetKeyboard(session)
+        });
+    } catch (err) {
+        // Telegram no longer accepts this file_id, fall back to a fresh download
+        logger.warn('Cached file_id rejected', { sessionId, chatId, platform: session.platform, err });
+        fileIdCache.delete(session.cacheKey);
+        return false;
+    }
+    recordDelivery(session.userId, session.platform, parseFloat(cached.sizeMB) * 1024 * 1024, 'download', { cached: true });
+
+    try {
+        await bot.deleteMessage(chatId, messageId);
+    } catch (deleteError) {
+        logger.warn('Could not delete progress message', { sessionId, chatId, err: deleteError });
+    }
+    activeDownloads.delete(sessionId);
+    return true;
+}
+
+/**
+ * Counts a file sent to a user in their daily quota, the statistics and the metrics
+ * @param {number} userId - User the download counts against
+ * @param {string} platform - Platform the media came from
+ * @param {number} bytes - Size of what was sent
+ * @param {string} kind - Job type (see Metrics)
+ * @param {object} [options] - Delivery details
+ * @param {boolean} [options.cached] - Resent from the file_id cache (nothing was uploaded)
+ */
+function recordDelivery(userId, platform, bytes, kind, { cached = false } = {}) {
+    accessPolicy.recordDownload(userId, bytes);
+    stats.recordDownload(platform, bytes);
+    jobCounter.inc({ platform, kind, result: 'success' });
+    if (cached) {
+        cacheHits.inc({ platform });
+    } else {
+        uploadedBytes.inc({ platform }, bytes);
+    }
+}
+
+/**
+ * Counts a failed job in the statistics and the metrics
+ * @param {string} platform - Platform the media came from
+ * @param {string} kind - Job type (see Metrics)
+ * @param {Error} err - What went wrong
+ * @returns {string} Cause of the failure (see classifyFailure)
+ */
+function recordFailure(platform, kind, err) {
+    const cause = classifyFailure(err);
+    stats.recordFailure(platform);
+    jobCounter.inc({ platform, kind, result: 'failure' });
+    failureCounter.inc({ platform, kind, cause });
+    return cause;
+}
+
+/**
+ * Counts a job stopped by its user or an admin in the metrics
+ * @param {string} platform - Platform the media came from
+ * @param {string} kind - Job type (see Metrics)
+ */
+function recordCanceled(platform, kind) {
+    jobCounter.inc({ platform, kind, result: 'canceled' });
+}
+
+/**
+ * Sorts a failure into a small set of causes for the metrics
+ * ("extractor" going up usually means yt-dlp needs an update for a site)
+ * @param {Error} err - What went wrong
+ * @returns {string} timeout, disk, telegram, unavailable, extractor, network, too_large, ytdlp, ffmpeg or other
+ */
+function classifyFailure(err) {
+    const message = String((err && err.message) || err).toLowerCase();
+    if (err && err.timedOut) return 'timeout';
+    if ((err && err.code === 'ENOSPC') || message.includes('no space left')) return 'disk';
+    if (err && (err.code === 'ETELEGRAM' || err.code === 'EFATAL')) return 'telegram';
+    if (/video unavailable|private video|not available|has been removed|copyright|sign in to confirm|login required/.test(message)) {
+        return 'unavailable';
+    }
+    if (/unsupported url|unable to extract|no video formats|requested format is not available|extractor/.test(message)) {
+        return 'extractor';
+    }
+    if (/http error|unable to download|connection|getaddrinfo|econnreset|etimedout|network/.test(message)) return 'network';
+    if (/too large|larger than|max-filesize/.test(message)) return 'too_large';
+    if (err && err.exitCode) return 'ytdlp';
+    if (message.includes('ffmpeg')) return 'ffmpeg';
+    return 'other';
+}
+
+/**
+ * Deletes a kept oversized file if the user never decides what to do with it
+ * @param {string} sessionId - Session holding the oversized file
+ */
+function expireOversizedFile(sessionId) {
+    setTimeout(async () => {
+        const session = activeDownloads.get(sessionId);
+        if (session && session.oversizedFile) {
+            await workspace.remove(session.oversizedFile.dir);
+            activeDownloads.delete(sessionId);
+        }
+    }, OVERSIZED_FILE_TTL).unref();
+}
+
+/**
+ * Splits a session's oversized file and sends the parts as an ordered series
+ * @param {string} sessionId - Session holding the oversized file
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Progress message to update
+ * @returns {Promise<void>} Resolves when all parts were sent (or splitting failed)
+ */
+async function splitAndSend(sessionId, chatId, messageId) {
+    const session = activeDownloads.get(sessionId);
+    if (!session || !session.oversizedFile) return; // Already handled or expired
+
+    const { title, platform } = session;
+    const { filePath, dir, isAudio, quality } = session.oversizedFile;
+    const log = logger.child({ sessionId, chatId, platform, phase: 'split' });
+    const duration = getMediaDuration(session);
+    const t = i18n.translator(session.lang);
+    session.oversizedFile = null; // Don't let the expiry timer delete it under us
+    activeDownloads.markChanged(sessionId);
+    const abortController = new AbortController();
+    session.abortController = abortController;
+    let parts = [];
+    let sentBytes = 0;
+
+    try {
+        await bot.editMessageText(
+            `${EMOJI.SCISSORS} ${fmt.bold(t('split.splitting'))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.italic(t('common.takesMoments'))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: buildCancelKeyboard(sessionId, t) }
+        );
+
+        parts = await splitMedia(filePath, { maxBytes: MAX_FILE_SIZE, duration, signal: abortController.signal });
+
+        // Send the parts one after another so they arrive in order
+        for (let i = 0; i < parts.length; i++) {
+            const partLabel = t('split.part', { index: i + 1, total: parts.length });
+            const { size, sizeMB } = await checkFileSize(parts[i]);
+
+            if (abortController.signal.aborted) return;
+            await bot.editMessageText(
+                `${EMOJI.UPLOAD} ${fmt.bold(t('split.uploading', { part: partLabel }))}\n\n` +
+                `${fmt.bold(t('common.title'))} ${fmt.escape(title)}`,
+                { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: buildCancelKeyboard(sessionId, t) }
+            );
+            await bot.sendChatAction(chatId, isAudio ? 'upload_audio' : 'upload_video');
+
+            const caption = `${EMOJI.SUCCESS} ${fmt.bold(partLabel)}\n\n` +
+                           `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                           `${fmt.bold(t('common.quality'))} ${quality}\n` +
+                           `${fmt.bold(t('common.size'))} ${sizeMB}MB`;
+
+            const tags = getTrackTags(session);
+            await sendMediaFile(chatId, parts[i], {
+                isAudio,
+                asDocument: session.asDocument,
+                caption,
+                title: `${tags.title} (${partLabel})`,
+                performer: tags.performer,
+                signal: abortController.signal
+            });
+            sentBytes += size;
+        }
+        recordDelivery(session.userId, platform, sentBytes, 'split'); // All parts count as one download
+        log.info('Split parts sent', { parts: parts.length, bytes: sentBytes });
+
+        // Delete the progress message
+        try {
+            await bot.deleteMessage(chatId, messageId);
+        } catch (deleteError) {
+            log.warn('Could not delete progress message', { err: deleteError });
+        }
+    } catch (err) {
+        if (err.canceled || abortController.signal.aborted) {
+            recordCanceled(platform, 'split');
+            return; // Reported by cancelSessionJob()
+        }
+
+        const cause = recordFailure(platform, 'split', err);
+        log.error('Split failed', { cause, err });
+        await bot.editMessageText(
+            `${EMOJI.ERROR} ${fmt.bold(t('split.failed'))}\n\n` +
+            `${fmt.italic(fmt.escape(err.message))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.italic(t('oversize.failedHint'))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+        );
+    } finally {
+        await workspace.remove(dir); // The file, its parts and anything ffmpeg left
+        activeDownloads.delete(sessionId);
+    }
+}
+
+/**
+ * Re-encodes a session's oversized file to fit the upload limit and sends it
+ * @param {string} sessionId - Session holding the oversized file
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Progress message to update
+ * @returns {Promise<void>} Resolves when the file was sent (or compression failed)
+ */
+async function compressAndSend(sessionId, chatId, messageId) {
+    const session = activeDownloads.get(sessionId);
+    if (!session || !session.oversizedFile) return; // Already handled or expired
+
+    const { title, platform } = session;
+    const { filePath, dir, isAudio, quality } = session.oversizedFile;
+    const log = logger.child({ sessionId, chatId, platform, phase: 'compress' });
+    const duration = getMediaDuration(session);
+    const t = i18n.translator(session.lang);
+    session.oversizedFile = null; // Don't let the expiry timer delete it under us
+    activeDownloads.markChanged(sessionId);
+    const abortController = new AbortController();
+    session.abortController = abortController;
+    let compressedPath = null;
+
+    try {
+        // Start the separate "Compressing" phase in the same progress message
+        await bot.editMessageText(
+            `${EMOJI.COMPRESS} ${fmt.bold(t('compress.compressing'))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.italic(t('compress.hint', { max: MAX_FILE_SIZE_LABEL }))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: buildCancelKeyboard(sessionId, t) }
+        );
+
+        compressedPath = await compressToFit(filePath, {
+            targetBytes: MAX_FILE_SIZE,
+            duration,
+            isAudio,
+            signal: abortController.signal,
+            onProgress: (progress) => updateProgress(chatId, messageId, progress, { t, title, platform, phase: 'compressing', sessionId })
+        });
+
+        const { size, sizeMB } = await checkFileSize(compressedPath);
+        if (size > MAX_FILE_SIZE) throw new Error(t('compress.stillTooLarge', { max: MAX_FILE_SIZE_LABEL }));
+
+        await updateProgress(chatId, messageId, 100, { t, title, platform, phase: 'compressing', sessionId });
+        await bot.sendChatAction(chatId, isAudio ? 'upload_audio' : 'upload_video');
+
+        const caption = `${EMOJI.SUCCESS} ${fmt.bold(t('download.complete'))}\n\n` +
+                       `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                       `${fmt.bold(t('common.quality'))} ${t('compress.quality', { quality })}\n` +
+                       `${fmt.bold(t('common.size'))} ${sizeMB}MB`;
+
+        await sendMediaFile(chatId, compressedPath, {
+            isAudio,
+            asDocument: session.asDocument,
+            caption,
+            ...getTrackTags(session),
+            duration,
+            signal: abortController.signal
+        });
+        recordDelivery(session.userId, platform, size, 'compress');
+        log.info('Compressed file sent', { bytes: size });
+
+        // Delete the progress message
+        try {
+            await bot.deleteMessage(chatId, messageId);
+        } catch (deleteError) {
+            log.warn('Could not delete progress message', { err: deleteError });
+        }
+    } catch (err) {
+        if (err.canceled || abortController.signal.aborted) {
+            recordCanceled(platform, 'compress');
+            return; // Reported by cancelSessionJob()
+        }
+
+        const cause = recordFailure(platform, 'compress', err);
+        log.error('Compression failed', { cause, err });
+        await bot.editMessageText(
+            `${EMOJI.ERROR} ${fmt.bold(t('compress.failed'))}\n\n` +
+            `${fmt.italic(fmt.escape(err.message))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.italic(t('oversize.failedHint'))}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+        );
+    } finally {
+        await workspace.remove(dir); // Original and compressed file
+        activeDownloads.delete(sessionId);
+    }
+}
+
+/**
+ * Explains why a user may not start another download today
+ * @param {number} userId - Telegram user ID
+ * @param {Function} t - Translator of the user
+ * @returns {string|null} HTML message, or null if the quota isn't used up
+ */
+function describeQuotaRefusal(userId, t) {
+    const quota = accessPolicy.checkQuota(userId);
+    if (quota.allowed) return null;
+
+    const limit = quota.reason === 'downloads'
+        ? t('access.downloadCount', { count: quota.limit })
+        : `${quota.limit}MB`;
+    return `${EMOJI.WARNING} ${fmt.bold(t('access.dailyLimit'))}\n\n` +
+           fmt.italic(t('access.dailyLimitHint', { limit, time: formatWaitTime(quota.retryAfter, t) }));
+}
+
+/**
+ * Stops a session's download and tells the user
+ * Used as the queue's cancel hook, so it covers waiting and running jobs alike.
+ * Aborting kills the yt-dlp/ffmpeg process tree; the job itself then
+ * deletes its partial files once the processes are gone.
+ * @param {string} sessionId - Session of the job
+ * @param {number} chatId - Chat of the progress message
+ * @param {number} messageId - Progress message
+ * @param {string} [reason] - "user" (Cancel button, /cancel) or "admin" (/status, /ban)
+ */
+function cancelSessionJob(sessionId, chatId, messageId, reason = 'admin') {
+    const session = activeDownloads.get(sessionId);
+    if (session && session.abortController) session.abortController.abort();
+    if (session && session.oversizedFile) workspace.remove(session.oversizedFile.dir); // Split/compress still waiting
+    activeDownloads.delete(sessionId);
+
+    const t = i18n.translator(session && session.lang);
+    bot.editMessageText(
+        `${EMOJI.CANCEL} ${fmt.bold(t('cancel.canceled'))}\n\n${fmt.italic(t(reason === 'user' ? 'cancel.byUser' : 'cancel.byAdmin'))}`,
+        { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+    ).catch((err) => logger.warn('Could not update canceled job message', { sessionId, chatId, err }));
+}
+
+/**
+ * Cancels the queued or running jobs of a session (download, playlist batch, split, compress)
+ * @param {string} sessionId - Media session
+ * @param {string} reason - Who canceled (see cancelSessionJob)
+ * @returns {boolean} True if a job was canceled
+ */
+function cancelSessionJobs(sessionId, reason) {
+    return [sessionId, `${sessionId}:split`, `${sessionId}:compress`]
+        .map((jobId) => downloadQueue.cancel(jobId, reason))
+        .some(Boolean);
+}
+
+/**
+ * Queues a job and keeps a record of it in the store until it's done
+ * Records left over from a previous run are picked up by recoverJobs().
+ * The time spent waiting and the whole job's duration go to the metrics.
+ * @param {object} job - Queue job (see lib/queue)
+ * @param {string} type - Kind of job ("download", "playlist", "inline", "split" or "compress")
+ * @param {object} details - Everything needed to run the job again (JSON-serializable)
+ * @returns {Promise<*>} Settles like the queued job
+ */
+function enqueueJob(job, type, details) {
+    const queuedAt = Date.now();
+    const secondsSince = (time) => (Date.now() - time) / 1000;
+    jobRecords.set(job.id, { type, details, queuedAt });
+
+    return downloadQueue.enqueue({
+        ...job,
+        run: () => {
+            queueWait.observe({ kind: type }, secondsSince(queuedAt));
+            return job.run();
+        }
+    }).finally(() => {
+        jobDuration.observe({ kind: type }, secondsSince(queuedAt));
+        jobRecords.delete(job.id);
+    });
+}
+
+/**
+ * Builds the Cancel button shown while a session's job waits or runs
+ * @param {string} sessionId - Media session
+ * @param {Function} t - Translator of the session
+ * @returns {object} Inline keyboard markup
+ */
+function buildCancelKeyboard(sessionId, t) {
+    return {
+        inline_keyboard: [[{
+            text: `${EMOJI.CANCEL} ${t('common.cancel')}`,
+            callback_data: signCallback('cancel', sessionId)
+        }]]
+    };
+}
+
+/**
+ * Picks the preset option used when no menu is shown
+ * @param {object[]} options - Video or audio options (see lib/formats)
+ * @param {boolean} isAudio - Audio options instead of video
+ * @param {object} [preset] - { videoHeight, audioBitrate } from the user's preferences
+ * @returns {number} Index of the option, -1 if none fits the upload limit
+ */
+function pickPresetOption(options, isAudio, { videoHeight = PRESET_MAX_HEIGHT, audioBitrate = PRESET_AUDIO_BITRATE } = {}) {
+    // Best choice within the preset: audio lists go from low to high bitrate, video from high to low
+    const fits = (option) => !option.tooLarge && (isAudio
+        ? option.format === 'mp3' && option.bitrate <= audioBitrate
+        : parseInt(option.quality, 10) <= videoHeight);
+    // lastIndexOf rather than findLastIndex, which needs Node 18
+    const preset = isAudio ? options.map(fits).lastIndexOf(true) : options.findIndex(fits);
+    if (preset !== -1) return preset;
+
+    // Nothing within the preset: the smallest option that still fits (video lists go from high to low)
+    const sendable = options.map((option, index) => (option.tooLarge ? -1 : index)).filter((index) => index !== -1);
+    if (!sendable.length) return -1;
+    return isAudio ? sendable[0] : sendable[sendable.length - 1];
+}
+
+/**
+ * Starts the download of one video/audio option of a session
+ * Answers from the file_id cache when possible, warns before downloads that
+ * look too large, and otherwise hands the job to the queue.
+ * @param {object} job - Download request
+ * @param {string} job.sessionId - Media session
+ * @param {string} job.action - Chosen option ("video_N" or "audio_N")
+ * @param {number} job.chatId - Target chat ID
+ * @param {number} job.messageId - Menu message that turns into the progress message
+ * @param {number} job.userId - User the download counts against in the queue
+ * @returns {Promise<void>} Resolves once the job is queued (or answered from cache)
+ */
+async function startDownload({ sessionId, action, chatId, messageId, userId }) {
+    const session = activeDownloads.get(sessionId);
+    const { originalUrl: url, title, duration } = session;
+    const t = i18n.translator(session.lang);
+
+    // Only one download per session (ignore repeated button presses)
+    if (session.jobQueued) return;
+
+    // Downloads count against the user who sent the link
+    const refusal = describeQuotaRefusal(session.userId, t);
+    if (refusal) {
+        await bot.sendMessage(chatId, refusal, { parse_mode: 'HTML' });
+        return;
+    }
+    session.jobQueued = true;
+    activeDownloads.markChanged(sessionId);
+
+    // Look up the chosen video/audio option
+    const isAudio = action.startsWith('audio_');
+    if (!isAudio && !action.startsWith('video_')) throw new Error('Unknown action');
+
+    const option = (isAudio ? session.audioOptions : session.videoOptions)[parseInt(action.split('_')[1], 10)];
+    if (!option) throw new Error(`Unknown ${isAudio ? 'audio' : 'video'} option`);
+
+    const quality = option.quality;
+    session.formatType = action;
+    session.quality = quality;
+    session.cacheKey = getCacheKey(session, option);
+    activeDownloads.set(sessionId, session);
+
+    // Sent before in this exact format: resend it instead of downloading again
+    if (await sendCachedFile(sessionId, chatId, messageId)) return;
+
+    // Downloading needs room on the disk (resends from the cache above don't)
+    if (await isDiskLow()) {
+        session.jobQueued = false; // Let the user try again later
+        activeDownloads.markChanged(sessionId);
+        await bot.sendMessage(chatId, describeDiskFull(t), { parse_mode: 'HTML' });
+        return;
+    }
+
+    let sizeEstimate = await estimateFileSize(url, option, isAudio);
+
+    // A clip only takes its share of the full length
+    if (sizeEstimate.estimated && session.clip && duration) {
+        const size = Math.round(sizeEstimate.size * getMediaDuration(session) / duration);
+        sizeEstimate = { size, sizeMB: (size / (1024 * 1024)).toFixed(2), estimated: true };
+    }
+    
+    // Check if file would exceed Telegram's size limit (unless it will be split anyway)
+    if (sizeEstimate.estimated && sizeEstimate.size > MAX_FILE_SIZE && !session.oversizeAction) {
+        await bot.editMessageText(
+            `${EMOJI.WARNING} ${fmt.bold(t('oversize.title'))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+            `${fmt.bold(t('common.estimatedSize'))} ${t('oversize.sizeOfMax', { size: sizeEstimate.sizeMB, max: MAX_FILE_SIZE_LABEL })}\n\n` +
+            `${fmt.italic(t('oversize.beforeDownloadHint'))}`,
+            { 
+                chat_id: chatId, 
+                message_id: messageId, 
+                parse_mode: 'HTML',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{
+                            text: `${EMOJI.SCISSORS} ${t('oversize.downloadSplit')}`,
+                            callback_data: signCallback(`split_${action}`, sessionId)
+                        }],
+                        [{
+                            text: `${EMOJI.COMPRESS} ${t('oversize.downloadCompress', { max: MAX_FILE_SIZE_LABEL })}`,
+                            callback_data: signCallback(`compress_${action}`, sessionId)
+                        }],
+                        [{
+                            text: `${EMOJI.OPTIONS} ${t('menu.backToMain')}`,
+                            callback_data: signCallback('main_menu', sessionId)
+                        }],
+                        [{
+                            text: `${EMOJI.CANCEL} ${t('common.cancel')}`,
+                            callback_data: signCallback('cancel', sessionId)
+                        }]
+                    ]
+                }
+            }
+        );
+        session.jobQueued = false; // Let the user pick another option
+        activeDownloads.markChanged(sessionId);
+        return;
+    }
+
+    // Expected stream sizes weigh the parts of a merged download in the overall progress
+    const streamSizes = session.clip ? [] : (option.formatIds || []).map((id) => {
+        const format = (session.formats || []).find((f) => f.id === id);
+        return format ? formatSize(format, duration) : null;
+    });
+
+    // Hand the download over to the queue; it starts once a slot is free
+    queueDownload({ sessionId, chatId, messageId, userId, option, isAudio, quality, sizeEstimate, streamSizes });
+}
+
+/**
+ * Puts a download job in the queue (see runDownload for the job fields)
+ * @param {object} job - Download job, as saved in its job record
+ * @param {number} job.userId - User the download counts against in the queue
+ */
+function queueDownload(job) {
+    const { sessionId, chatId, messageId, userId, quality } = job;
+    enqueueJob({
+        id: sessionId,
+        userId,
+        chatId,
+        title: activeDownloads.get(sessionId).title,
+        onQueued: (position) => showQueuePosition(chatId, messageId, position, sessionId, quality),
+        cancel: (reason) => cancelSessionJob(sessionId, chatId, messageId, reason),
+        run: () => runDownload(job)
+    }, 'download', job).catch((err) => {
+        logger.error('Queued download failed', { sessionId, chatId, err });
+        activeDownloads.delete(sessionId);
+    });
+}
+
+/* ====================== */
+/* FORMAT MENUS           */
+/* ====================== */
+
+/**
+ * Shows the video or audio quality menu of a session
+ * Also offers trimming, and shows the clip range once one is set.
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Message to edit
+ * @param {string} sessionId - Media session
+ * @param {string} kind - "video" or "audio"
+ */
+async function showFormatMenu(chatId, messageId, sessionId, kind) {
+    const session = activeDownloads.get(sessionId);
+    const t = i18n.translator(session.lang);
+    const isAudio = kind === 'audio';
+    const options = isAudio ? session.audioOptions : session.videoOptions;
+    const icon = isAudio ? EMOJI.AUDIO : EMOJI.VIDEO;
+
+    // One button per available choice
+    const keyboard = options.map((option, index) => [{
+        text: `${icon} ${option.label}`,
+        callback_data: signCallback(`${kind}_${index}`, sessionId)
+    }]);
+
+    if (isAudio) {
+        // Output format picker, the quality buttons above follow the selection
+        keyboard.push(Object.entries(AUDIO_FORMATS).map(([format, { name }]) => ({
+            text: format === session.audioFormat ? `${EMOJI.CHECKED} ${name}` : name,
+            callback_data: signCallback(`afmt_${format}`, sessionId)
+        })));
+    }
+
+    keyboard.push(session.clip
+        ? [
+            { text: `${EMOJI.SCISSORS} ${t('menu.changeTrim')}`, callback_data: signCallback(`trim_${kind}`, sessionId) },
+            { text: `${EMOJI.CANCEL} ${t('menu.removeTrim')}`, callback_data: signCallback(`untrim_${kind}`, sessionId) }
+        ]
+        : [{ text: `${EMOJI.SCISSORS} ${t('menu.trim')}`, callback_data: signCallback(`trim_${kind}`, sessionId) }]);
+
+    keyboard.push(isAudio
+        ? [{ text: `${EMOJI.VIDEO} ${t('menu.backToMain')}`, callback_data: signCallback('main_menu', sessionId) }]
+        : [{ text: `${EMOJI.AUDIO} ${t('menu.backToAudio')}`, callback_data: signCallback('audio_menu', sessionId) }]);
+    keyboard.push([{ text: `${EMOJI.CANCEL} ${t('common.cancel')}`, callback_data: signCallback('cancel', sessionId) }]);
+
+    let messageText = `${icon} ${fmt.bold(t(`menu.${kind}QualityTitle`))}\n\n` +
+                      `${fmt.bold(t('common.title'))} ${fmt.escape(session.title)}\n` +
+                      `${fmt.bold(t('common.source'))} ${session.platform}\n`;
+
+    if (session.clip) {
+        // Sizes on the buttons are for the full length
+        messageText += `${fmt.bold(t('common.clip'))} ${formatClip(session.clip)} ` +
+                       `${fmt.italic(t('menu.clipSizesNote'))}\n`;
+    }
+
+    messageText += '\n' + fmt.italic(t(options.length ? `menu.${kind}Select` : `menu.${kind}AllTooLarge`));
+
+    await bot.editMessageText(messageText, {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: { inline_keyboard: keyboard },
+        parse_mode: 'HTML'
+    });
+}
+
+/* ====================== */
+/* PLAYLIST SUPPORT       */
+/* ====================== */
+
+/**
+ * yt-dlp arguments used for every entry of a playlist batch
+ * Video is capped at 720p to keep most entries under the upload limit
+ */
+const PLAYLIST_FORMAT_ARGS = {
+    video: ['-f', 'bv*[height<=720][ext=mp4]+ba[ext=m4a]/b[height<=720][ext=mp4]/bv*[height<=720]+ba/b[height<=720]/b',
+            '--merge-output-format', 'mp4', '--remux-video', 'mp4'],
+    audio: ['-f', 'bestaudio/best', '-x', '--audio-format', 'mp3', '--audio-quality', `${PLAYLIST_AUDIO_BITRATE}K`, ...audioTagArgs('mp3')]
+};
+
+/**
+ * Gets the number of a playlist's last entry
+ * Higher than the entry count when unavailable entries were left out.
+ * @param {object} session - Playlist session
+ * @returns {number} Last item number (0 for an empty list)
+ */
+function getLastItem(session) {
+    return session.entries.length ? session.entries[session.entries.length - 1].index : 0;
+}
+
+/**
+ * Shows the playlist overview with the entry list and selection buttons
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Message to edit
+ * @param {string} sessionId - Playlist session
+ */
+async function showPlaylistMenu(chatId, messageId, sessionId) {
+    const { title, platform, entries, lang } = activeDownloads.get(sessionId);
+    const t = i18n.translator(lang);
+
+    // List the first entries with their durations
+    const shown = entries.slice(0, 20);
+    let messageText = `${EMOJI.LIST} ${fmt.bold(t('playlist.detected'))} ${platform}\n\n` +
+                      `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                      `${fmt.bold(t('playlist.entries'))} ${entries.length}\n\n` +
+                      shown.map((entry) =>
+                          `${entry.index}. ${entry.title ? fmt.escape(entry.title) : t('common.untitled')}` +
+                          (entry.duration ? ` (${formatDuration(entry.duration)})` : '')
+                      ).join('\n');
+
+    if (entries.length > shown.length) {
+        messageText += `\n${fmt.italic(t('playlist.more', { count: entries.length - shown.length }))}`;
+    }
+    messageText += `\n\n${EMOJI.OPTIONS} ${fmt.bold(t('playlist.choose'))}`;
+
+    await bot.editMessageText(messageText, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: {
+            inline_keyboard: [
+                [{
+                    text: `${EMOJI.DOWNLOAD} ${t('playlist.downloadAll', { count: Math.min(entries.length, PLAYLIST_MAX_ITEMS) })}`,
+                    callback_data: signCallback('pl_all', sessionId)
+                }],
+                [{
+                    text: `${EMOJI.CHECKED} ${t('playlist.pickItems')}`,
+                    callback_data: signCallback('pl_page_0', sessionId)
+                }],
+                [{
+                    text: `${EMOJI.OPTIONS} ${t('playlist.typeRange')}`,
+                    callback_data: signCallback('pl_range', sessionId)
+                }],
+                [{
+                    text: `${EMOJI.CANCEL} ${t('common.cancel')}`,
+                    callback_data: signCallback('cancel', sessionId)
+                }]
+            ]
+        }
+    });
+}
+
+/**
+ * Shows one page of the item picker with toggle buttons
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Message to edit
+ * @param {string} sessionId - Playlist session
+ * @param {number} page - 0-based page number
+ */
+async function showPlaylistPicker(chatId, messageId, sessionId, page) {
+    const session = activeDownloads.get(sessionId);
+    const t = i18n.translator(session.lang);
+    const pageCount = Math.ceil(session.entries.length / PLAYLIST_PAGE_SIZE);
+    page = Math.max(0, Math.min(page, pageCount - 1));
+    session.pickerPage = page;
+    activeDownloads.markChanged(sessionId);
+
+    const pageEntries = session.entries.slice(page * PLAYLIST_PAGE_SIZE, (page + 1) * PLAYLIST_PAGE_SIZE);
+    const navigation = [];
+    if (page > 0) navigation.push({ text: '◀️', callback_data: signCallback(`pl_page_${page - 1}`, sessionId) });
+    if (page < pageCount - 1) navigation.push({ text: '▶️', callback_data: signCallback(`pl_page_${page + 1}`, sessionId) });
+
+    await bot.editMessageText(
+        `${EMOJI.LIST} ${fmt.bold(t('playlist.pickTitle'))} ${fmt.escape(session.title)}\n\n` +
+        `${fmt.bold(t('playlist.page'))} ${page + 1}/${pageCount}\n` +
+        `${fmt.bold(t('playlist.selected'))} ${session.selected.length ? formatSelection(session.selected) : t('common.none')}`,
+        {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [
+                    ...pageEntries.map((entry) => [{
+                        text: `${session.selected.includes(entry.index) ? EMOJI.CHECKED : EMOJI.UNCHECKED} ` +
+                              `${entry.index}. ${(entry.title || t('common.untitled')).substring(0, 40)}`,
+                        callback_data: signCallback(`pl_toggle_${entry.index}`, sessionId)
+                    }]),
+                    ...(navigation.length ? [navigation] : []),
+                    [{
+                        text: `${EMOJI.DOWNLOAD} ${t('playlist.done', { count: session.selected.length })}`,
+                        callback_data: signCallback('pl_done', sessionId)
+                    }],
+                    [{
+                        text: `${EMOJI.LIST} ${t('playlist.back')}`,
+                        callback_data: signCallback('pl_menu', sessionId)
+                    }]
+                ]
+            }
+        }
+    );
+}
+
+/**
+ * Asks whether the selected playlist items should be downloaded as video or audio
+ * @param {number} chatId - Target chat ID
+ * @param {number} messageId - Message to edit
+ * @param {string} sessionId - Playlist session
+ */
+async function showPlaylistModeMenu(chatId, messageId, sessionId) {
+    const session = activeDownloads.get(sessionId);
+    const t = i18n.translator(session.lang);
+
+    await bot.editMessageText(
+        `${EMOJI.LIST} ${fmt.bold(t('playlist.modeTitle'))}\n\n` +
+        `${fmt.bold(t('common.title'))} ${fmt.escape(session.title)}\n` +
+        `${fmt.bold(t('playlist.items'))} ${formatSelection(session.selected)} (${session.selected.length})\n\n` +
+        `${fmt.italic(t('playlist.chooseFormat'))}`,
+        {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [
+                    [{
+                        text: `${EMOJI.VIDEO} ${t('playlist.videoMode')}`,
+                        callback_data: signCallback('pl_video', sessionId)
+                    }],
+                    [{
+                        text: `${EMOJI.AUDIO} ${t('playlist.audioMode')}`,
+                        callback_data: signCallback('pl_audio', sessionId)
+                    }],
+                    [{
+                        text: `${EMOJI.LIST} ${t('playlist.back')}`,
+                        callback_data: signCallback('pl_menu', sessionId)
+                    }]
+                ]
+            }
+        }
+    );
+}
+
+/**
+ * Handles all playlist buttons (pl_* actions)
+ * @param {string} action - Callback action
+ * @param {string} sessionId - Playlist session
+ * @param {object} query - Telegram callback query
+ */
+async function handlePlaylistAction(action, sessionId, query) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const session = activeDownloads.get(sessionId);
+    const t = i18n.translator(session.lang);
+
+    if (action === 'pl_menu') {
+        return showPlaylistMenu(chatId, messageId, sessionId);
+    }
+
+    if (action === 'pl_all') {
+        session.selected = session.entries.slice(0, PLAYLIST_MAX_ITEMS).map((entry) => entry.index);
+        activeDownloads.markChanged(sessionId);
+        return showPlaylistModeMenu(chatId, messageId, sessionId);
+    }
+
+    if (action.startsWith('pl_page_')) {
+        return showPlaylistPicker(chatId, messageId, sessionId, parseInt(action.slice('pl_page_'.length), 10));
+    }
+
+    if (action.startsWith('pl_toggle_')) {
+        const item = parseInt(action.slice('pl_toggle_'.length), 10);
+        if (session.selected.includes(item)) {
+            session.selected = session.selected.filter((selected) => selected !== item);
+        } else if (session.selected.length < PLAYLIST_MAX_ITEMS) {
+            session.selected = [...session.selected, item].sort((a, b) => a - b);
+        }
+        activeDownloads.markChanged(sessionId);
+        return showPlaylistPicker(chatId, messageId, sessionId, session.pickerPage || 0);
+    }
+
+    if (action === 'pl_done') {
+        if (!session.selected.length) {
+            return bot.sendMessage(chatId, `${EMOJI.INFO} ${fmt.bold(t('playlist.selectOne'))}`, {
+                parse_mode: 'HTML'
+            });
+        }
+        return showPlaylistModeMenu(chatId, messageId, sessionId);
+    }
+
+    if (action === 'pl_range') {
+        // Route this user's next text message in this chat to the session
+        pendingInputs.set(`${chatId}:${query.from.id}`, { sessionId, type: 'playlist_range' });
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.OPTIONS} ${fmt.bold(t('playlist.whichItems'))}\n\n` +
+            `${fmt.italic(t('playlist.whichItemsHint', { count: getLastItem(session) }))} ${fmt.code('1-5, 8')}`,
+            { parse_mode: 'HTML' }
+        );
+    }
+
+    if (action === 'pl_video' || action === 'pl_audio') {
+        // Only one batch per session (ignore repeated button presses)
+        if (session.jobQueued || !session.selected.length) return;
+
+        const refusal = describeQuotaRefusal(session.userId, t);
+        if (refusal) return bot.sendMessage(chatId, refusal, { parse_mode: 'HTML' });
+        session.jobQueued = true;
+        activeDownloads.markChanged(sessionId);
+
+        if (await isDiskLow()) {
+            session.jobQueued = false;
+            activeDownloads.markChanged(sessionId);
+            return bot.sendMessage(chatId, describeDiskFull(t), { parse_mode: 'HTML' });
+        }
+
+        const mode = action === 'pl_audio' ? 'audio' : 'video';
+        queuePlaylistDownload({ sessionId, chatId, messageId, userId: query.from.id, mode });
+    }
+}
+
+/**
+ * Puts a playlist batch in the queue (see runPlaylistDownload for the job fields)
+ * @param {object} job - Batch job, as saved in its job record
+ * @param {number} job.userId - User the batch counts against in the queue
+ */
+function queuePlaylistDownload(job) {
+    const { sessionId, chatId, messageId, userId, mode } = job;
+    const session = activeDownloads.get(sessionId);
+    const t = i18n.translator(session.lang);
+    const quality = mode === 'audio'
+        ? t('playlist.audioQuality', { bitrate: PLAYLIST_AUDIO_BITRATE })
+        : t('playlist.videoQuality');
+
+    enqueueJob({
+        id: sessionId,
+        userId,
+        chatId,
+        title: session.title,
+        onQueued: (position) => showQueuePosition(chatId, messageId, position, sessionId, quality),
+        cancel: (reason) => cancelSessionJob(sessionId, chatId, messageId, reason),
+        run: () => runPlaylistDownload(job)
+    }, 'playlist', job).catch((err) => {
+        logger.error('Queued playlist failed', { sessionId, chatId, err });
+        activeDownloads.delete(sessionId);
+    });
+}
+
+/**
+ * Handles a text message that answers a question the bot asked
+ * @param {object} msg - Telegram message
+ * @param {object} pending - Pending input ({ sessionId, type })
+ */
+async function handlePendingInput(msg, pending) {
+    const chatId = msg.chat.id;
+    const session = activeDownloads.get(pending.sessionId);
+    if (!session) return; // Session expired in the meantime
+    const t = i18n.translator(session.lang);
+
+    if (pending.type === 'playlist_range') {
+        // Numbers of unavailable entries (gaps in the list) are left out
+        const available = new Set(session.entries.map((entry) => entry.index));
+        const items = (parseSelection(msg.text, getLastItem(session)) || []).filter((item) => available.has(item));
+
+        if (!items.length || items.length > PLAYLIST_MAX_ITEMS) {
+            // Ask again
+            pendingInputs.set(`${chatId}:${msg.from.id}`, pending);
+            return bot.sendMessage(
+                chatId,
+                `${EMOJI.ERROR} ${fmt.bold(t('playlist.invalidSelection'))}\n\n` +
+                `${fmt.italic(t('playlist.invalidSelectionHint', { count: getLastItem(session), max: PLAYLIST_MAX_ITEMS }))} ${fmt.code('1-5, 8')}`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        session.selected = items;
+        activeDownloads.markChanged(pending.sessionId);
+        return showPlaylistModeMenu(chatId, session.progressMessageId, pending.sessionId);
+    }
+
+    if (pending.type === 'trim_range') {
+        const clip = parseTimeRange(msg.text);
+        const problem = clip ? validateClip(clip, session.duration, t) : t('clip.rangeFormat');
+
+        if (problem) {
+            // Ask again
+            pendingInputs.set(`${chatId}:${msg.from.id}`, pending);
+            return bot.sendMessage(
+                chatId,
+                `${EMOJI.ERROR} ${fmt.bold(t('clip.invalidRange'))}\n\n${fmt.italic(problem)}`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        session.clip = clip;
+        activeDownloads.markChanged(pending.sessionId);
+        return showFormatMenu(chatId, session.progressMessageId, pending.sessionId, pending.kind);
+    }
+}
+
+/**
+ * Downloads and sends the selected playlist entries one by one
+ * Progress of the whole batch is shown in one message, followed by a summary.
+ * @param {object} job - Batch job details
+ * @param {string} job.sessionId - Playlist session
+ * @param {number} job.chatId - Target chat ID
+ * @param {number} job.messageId - Progress message to update
+ * @param {string} job.mode - "video" or "audio"
+ * @returns {Promise<void>} Resolves when the batch is finished
+ */
+async function runPlaylistDownload({ sessionId, chatId, messageId, mode }) {
+    const session = activeDownloads.get(sessionId);
+    if (!session) return; // Session was canceled while waiting in the queue
+
+    const { title, cleanTitle, platform, entries, selected } = session;
+    const t = i18n.translator(session.lang);
+    const isAudio = mode === 'audio';
+    const log = logger.child({ sessionId, chatId, platform, phase: 'playlist' });
+
+    // Kept in the session, so a batch cut off by a restart goes on with the next entry
+    if (!session.playlistResults) session.playlistResults = []; // { item, title, ok, reason }
+    const results = session.playlistResults;
+    const addResult = (result) => {
+        results.push(result);
+        activeDownloads.markChanged(sessionId);
+    };
+
+    const abortController = new AbortController();
+    session.abortController = abortController;
+
+    try {
+        for (let i = results.length; i < selected.length && !abortController.signal.aborted; i++) {
+            const entry = entries.find((candidate) => candidate.index === selected[i]);
+            const entryTitle = entry.title || `${title} #${entry.index}`;
+            const baseName = sanitizeFilename(entryTitle) || `${cleanTitle} ${entry.index}`;
+            const fileName = `${baseName}.${isAudio ? 'mp3' : 'mp4'}`;
+            const counter = `${i + 1}/${selected.length}`;
+
+            // Overall percentage across all selected entries
+            const reportProgress = (entryPercent, transfer) => updateProgress(
+                chatId, messageId,
+                Math.round(((i + entryPercent / 100) / selected.length) * 100),
+                { t, title: `${counter}: ${entryTitle}`, platform, phase: 'playlist', transfer, sessionId }
+            );
+            const tracker = createProgressTracker();
+
+            // The daily quota can run out in the middle of a batch
+            if (!accessPolicy.checkQuota(session.userId).allowed) {
+                addResult({ item: entry.index, title: entryTitle, ok: false, reason: t('access.dailyLimit') });
+                continue;
+            }
+
+            // The server may run low on space in the middle of a batch too
+            if (await isDiskLow()) {
+                addResult({ item: entry.index, title: entryTitle, ok: false, reason: t('download.diskFull') });
+                continue;
+            }
+
+            let entryDir = null;
+            try {
+                entryDir = await workspace.create();
+                const filePath = path.join(entryDir, fileName);
+
+                await reportProgress(0);
+                await ytdlp.download(session.originalUrl, [
+                    '--playlist-items', String(entry.index),
+                    ...PLAYLIST_FORMAT_ARGS[mode],
+                    '--max-filesize', String(MAX_FILE_SIZE), // Skip entries over the limit
+                    '--output', filePath
+                ], {
+                    signal: abortController.signal,
+                    timeout: DOWNLOAD_TIMEOUT,
+                    onLine: (line) => {
+                        if (!tracker.update(line)) return;
+                        const { phase, percent, ...transfer } = tracker.state();
+                        if (phase === 'download') reportProgress(percent, transfer);
+                    }
+                });
+
+                if (!fs.existsSync(filePath)) throw new Error(t('playlist.unavailable', { max: MAX_FILE_SIZE_LABEL }));
+                const { size, sizeMB } = await checkFileSize(filePath);
+                if (size === 0) throw new Error(t('download.fileEmpty'));
+                if (size > MAX_FILE_SIZE) throw new Error(t('playlist.tooLarge', { max: MAX_FILE_SIZE_LABEL }));
+
+                await bot.sendChatAction(chatId, isAudio ? 'upload_audio' : 'upload_video');
+                await sendMediaFile(chatId, filePath, {
+                    isAudio,
+                    asDocument: session.asDocument,
+                    caption: `${EMOJI.SUCCESS} ${fmt.bold(counter)} ${fmt.escape(entryTitle)}\n${fmt.bold(t('common.size'))} ${sizeMB}MB`,
+                    title: entryTitle,
+                    performer: entry.uploader || session.uploader || platform,
+                    duration: entry.duration,
+                    signal: abortController.signal
+                });
+                recordDelivery(session.userId, platform, size, 'playlist');
+                addResult({ item: entry.index, title: entryTitle, ok: true });
+            } catch (err) {
+                if (err.canceled || abortController.signal.aborted) {
+                    recordCanceled(platform, 'playlist');
+                    break;
+                }
+                const cause = recordFailure(platform, 'playlist', err);
+                log.warn('Playlist item failed', { item: entry.index, cause, err });
+                addResult({ item: entry.index, title: entryTitle, ok: false, reason: err.message });
+            } finally {
+                await workspace.remove(entryDir);
+            }
+        }
+
+        // Final summary of the batch
+        const failed = results.filter((result) => !result.ok);
+        const canceled = abortController.signal.aborted;
+        let summary = `${canceled ? EMOJI.CANCEL : EMOJI.LIST} ${fmt.bold(t(canceled ? 'playlist.canceled' : 'playlist.finished'))}\n\n` +
+                      `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                      `${EMOJI.SUCCESS} ${fmt.bold(t('common.sent'))} ${results.length - failed.length}/${selected.length}\n` +
+                      `${EMOJI.ERROR} ${fmt.bold(t('common.failed'))} ${failed.length}`;
+
+        if (failed.length) {
+            summary += '\n\n' + failed.slice(0, 20).map((result) =>
+                `• ${result.item}. ${fmt.escape(result.title)} — ${fmt.italic(fmt.escape(result.reason.substring(0, 100)))}`
+            ).join('\n');
+        }
+
+        await bot.editMessageText(summary, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        });
+    } catch (err) {
+        log.error('Playlist download failed', { err });
+        await bot.editMessageText(
+            `${EMOJI.ERROR} ${fmt.bold(t('playlist.failed'))}\n\n` +
+            `${fmt.italic(fmt.escape(err.message))}\n\n` +
+            `${fmt.bold(t('common.title'))} ${fmt.escape(title)}`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+        );
+    } finally {
+        activeDownloads.delete(sessionId);
+    }
+}
+
+/* ====================== */
+/* BOT COMMAND HANDLERS   */
+/* ====================== */
+
+/**
+ * Handle /start and /help commands
+ * Sends the welcome message to users
+ */
+bot.onText(/\/start|\/help/, (msg) => {
+    bot.sendMessage(msg.chat.id, buildWelcomeMessage(translatorFor(msg.from)), { 
+        parse_mode: 'HTML',
+        disable_web_page_preview: true // Prevent link preview in welcome message
+    });
+});
+
+/**
+ * Auto-welcome new users in private chats
+ * Sends welcome message when user first interacts
+ */
+bot.on('message', (msg) => {
+    // Only in private chats and not command messages
+    if (msg.chat.type === 'private' && !msg.text?.startsWith('/')) {
+        // Only send welcome if it's the first message
+        if (!msg.text) {
+            bot.sendMessage(msg.chat.id, buildWelcomeMessage(translatorFor(msg.from)), {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+        }
+    }
+});
+
+/**
+ * Handle /cancel command
+ * Stops the user's waiting and running jobs in this chat
+ */
+bot.onText(/^\/cancel(?:@\w+)?$/, (msg) => {
+    const chatId = msg.chat.id;
+    const t = translatorFor(msg.from);
+
+    const { running, waiting } = downloadQueue.list();
+    let canceled = 0;
+    for (const job of [...running, ...waiting]) {
+        if (job.userId === msg.from.id && job.chatId === chatId && downloadQueue.cancel(job.id, 'user')) canceled++;
+    }
+
+    if (canceled) {
+        bot.sendMessage(chatId, `${EMOJI.CANCEL} ${fmt.bold(t('cancel.jobsCanceled', { count: canceled }))}`, {
+            parse_mode: 'HTML'
+        });
+    } else {
+        bot.sendMessage(chatId, `${EMOJI.INFO} ${fmt.bold(t('cancel.nothingToCancel'))}`, {
+            parse_mode: 'HTML'
+        });
+    }
+});
+
+/**
+ * Probes a media URL and shows its download menu
+ * @param {number} chatId - Target chat ID
+ * @param {string} url - Media URL sent by the user
+ * @param {object} [options] - Extra options
+ * @param {object} [options.clip] - Only download this { start, end } range (seconds)
+ * @param {boolean} [options.auto] - Skip the menus and download the preset format (also when the user turned it on)
+ * @param {number} [options.userId] - User who sent the link (for the download queue)
+ * @param {number} [options.replyTo] - Message to reply to (the link, in groups)
+ * @param {string} [options.lang] - Language of the menus and messages
+ */
+async function processMediaUrl(chatId, url, { clip, auto = false, userId, replyTo, lang } = {}) {
+    const t = i18n.translator(lang);
+    const prefs = preferences.get(userId);
+    try {
+        // Send initial processing message
+        const sentMessage = await bot.sendMessage(
+            chatId,
+            `${EMOJI.CLOCK} ${fmt.bold(t('link.checking'))}\n\n` +
+            `${fmt.italic(t('link.checkingHint'))}`,
+            {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                ...(replyTo ? { reply_to_message_id: replyTo, allow_sending_without_reply: true } : {})
+            }
+        );
+
+        // Extract video info and create session
+        const info = await getVideoInfo(url);
+        const { title, cleanTitle, platform, duration, thumbnail, formats, uploader } = info;
+        const sessionId = crypto.randomBytes(8).toString('hex'); // Unique session ID
+
+        // A clip needs a single video that is long enough
+        if (clip) {
+            const problem = info.isPlaylist
+                ? t('clip.notPlaylist')
+                : validateClip(clip, duration, t);
+            if (problem) {
+                await bot.editMessageText(
+                    `${EMOJI.ERROR} ${fmt.bold(t('clip.invalidRange'))}\n\n${fmt.italic(problem)}`,
+                    { chat_id: chatId, message_id: sentMessage.message_id, parse_mode: 'HTML' }
+                );
+                return;
+            }
+        }
+
+        // Playlists get their own menu (all / range / individual items)
+        if (info.isPlaylist) {
+            activeDownloads.set(sessionId, {
+                originalUrl: url,
+                userId, // Only this user (or a chat admin) may press the buttons
+                chatId,
+                lang: t.language,
+                asDocument: prefs.sendAs === 'document',
+                isPlaylist: true,
+                title,
+                cleanTitle,
+                platform,
+                duration,
+                thumbnail,
+                uploader,
+                entries: compactEntries(info.entries),
+                selected: [],
+                progressMessageId: sentMessage.message_id,
+                timestamp: Date.now()
+            });
+            await showPlaylistMenu(chatId, sentMessage.message_id, sessionId);
+            return;
+        }
+
+        // Quality choices built from the formats this URL really has
+        const limits = { maxFileSize: MAX_FILE_SIZE, hideOversized: HIDE_OVERSIZED_FORMATS, t };
+        const videoOptions = buildVideoOptions({ formats, duration }, limits);
+        const audioOptions = buildAudioOptions({ formats, duration }, limits);
+
+        // Store session info for tracking
+        activeDownloads.set(sessionId, {
+            originalUrl: url,
+            userId, // Only this user (or a chat admin) may press the buttons
+            chatId,
+            lang: t.language,
+            asDocument: prefs.sendAs === 'document',
+            mediaId: info.id,
+            webpageUrl: info.webpageUrl,
+            title,
+            cleanTitle,
+            platform,
+            duration,
+            thumbnail,
+            uploader,
+            artist: info.artist,
+            track: info.track,
+            album: info.album,
+            formats: compactFormats(formats), // Kept to rebuild the audio options for another output format
+            audioFormat: 'mp3',
+            videoOptions,
+            audioOptions,
+            clip: clip || null,
+            progressMessageId: sentMessage.message_id,
+            timestamp: Date.now()
+        });
+
+        // Auto-download (group mode or the user's /settings): skip the menus
+        // and start the user's preset right away
+        if (auto || prefs.auto) {
+            const isAudio = prefs.mode === 'audio';
+            const preset = pickPresetOption(isAudio ? audioOptions : videoOptions, isAudio, prefs);
+            if (preset !== -1) {
+                activeDownloads.get(sessionId).autoStarted = true; // The file gets a "change preset" button
+                await startDownload({
+                    sessionId,
+                    action: `${prefs.mode}_${preset}`,
+                    chatId,
+                    messageId: sentMessage.message_id,
+                    userId
+                });
+                return;
+            }
+            // Nothing fits the upload limit, let the user decide in the menu
+        }
+
+        // Prepare format selection buttons
+        const options = {
+            reply_markup: {
+                inline_keyboard: [
+                    [{
+                        text: `${EMOJI.VIDEO} ${t('menu.videoOptions')}`,
+                        callback_data: signCallback('video_menu', sessionId)
+                    }],
+                    [{
+                        text: `${EMOJI.AUDIO} ${t('menu.audioOptions')}`,
+                        callback_data: signCallback('audio_menu', sessionId)
+                    }]
+                ]
+            },
+            parse_mode: 'HTML'
         };
 
-        // Build media info message
-        let messageText = `${EMOJI.LINK} ${fmt.bold('Media Detected:')} ${platform}\n\n` +
-                         `${fmt.bold('Title:')} ${title}\n`;
-        
-        // Add duration if available
-        if (duration) {
-            messageText += `${fmt.bold('Duration:')} ${Math.floor(duration / 60)}:${(duration % 60).toString().padStart(2, '0')}\n\n`;
-        }
+        // Build media info message
+        let messageText = `${EMOJI.LINK} ${fmt.bold(t('link.detected'))} ${platform}\n\n` +
+                         `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n`;
+        
+        // Add duration if available
+        if (duration) {
+            messageText += `${fmt.bold(t('common.duration'))} ${formatDuration(duration)}\n`;
+        }
+        if (clip) {
+            messageText += `${fmt.bold(t('common.clip'))} ${formatClip(clip)}\n`;
+        }
+        messageText += '\n';
+
+        messageText += `${EMOJI.OPTIONS} ${fmt.bold(t('menu.chooseOption'))}`;
+
+        // Update message with format options
+        await bot.editMessageText(messageText, {
+            chat_id: chatId,
+            message_id: sentMessage.message_id,
+            reply_markup: options.reply_markup,
+            parse_mode: 'HTML'
+        });
+
+    } catch (err) {
+        logger.error('Could not process link', { chatId, url, phase: 'probe', err });
+        await bot.sendMessage(
+            chatId,
+            `${EMOJI.ERROR} ${fmt.bold(t('link.error'))}\n\n` +
+            `${fmt.italic(t('link.errorHint'))}\n` +
+            `${fmt.code(fmt.escape(err.message))}`,
+            { 
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            }
+        ).catch((e) => logger.warn('Could not send the link error', { chatId, err: e }));
+    }
+}
+
+/**
+ * Checks the access lists and rate limit for a message with links
+ * Refused users get a short answer (blocked users in groups are ignored).
+ * @param {object} msg - Telegram message
+ * @returns {Promise<boolean>} True if the links may be processed
+ */
+async function admitRequest(msg) {
+    const chatId = msg.chat.id;
+    const t = translatorFor(msg.from);
+    const replyOptions = { parse_mode: 'HTML', reply_to_message_id: msg.message_id, allow_sending_without_reply: true };
+
+    const access = accessPolicy.checkAccess({ userId: msg.from.id, chatId });
+    if (!access.allowed) {
+        if (!isGroupChat(msg.chat)) {
+            await bot.sendMessage(chatId, `${EMOJI.ERROR} ${fmt.bold(t('access.notAllowed'))}`, replyOptions);
+        }
+        return false;
+    }
+
+    const rate = accessPolicy.checkRate(msg.from.id);
+    if (!rate.allowed) {
+        await bot.sendMessage(
+            chatId,
+            `${EMOJI.CLOCK} ${fmt.bold(t('access.tooManyRequests'))}\n\n` +
+            fmt.italic(t('access.tryAgainIn', { time: formatWaitTime(rate.retryAfter, t) })),
+            replyOptions
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Handle /clip command
+ * Same as sending a link, but only the given time range gets downloaded
+ */
+bot.onText(/^\/clip(?:@\w+)?(?=\s|$)(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const t = translatorFor(msg.from);
+    const [, url, range] = match;
+    const clip = range ? parseTimeRange(range) : null;
+
+    if (!url || !isHttpUrl(url) || !clip) {
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.SCISSORS} ${fmt.bold(t('common.usage'))} ${fmt.code('/clip &lt;url&gt; &lt;start&gt;-&lt;end&gt;')}\n\n` +
+            `${fmt.italic(t('common.example'))} ${fmt.code('/clip https://youtu.be/... 1:30-2:00')}`,
+            { parse_mode: 'HTML', disable_web_page_preview: true }
+        );
+    }
+
+    if (!(await admitRequest(msg))) return;
+    await processMediaUrl(chatId, url, { clip, userId: msg.from.id, replyTo: msg.message_id, lang: t.language });
+});
+
+/**
+ * Checks whether a chat is a group (the bot stays quiet there unless addressed)
+ * @param {object} chat - Telegram chat
+ * @returns {boolean} True for groups and supergroups
+ */
+function isGroupChat(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+/**
+ * Checks whether a user is an admin of a group
+ * @param {object} chat - Telegram chat
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>} True for the group's creator and administrators
+ */
+async function isChatAdmin(chat, userId) {
+    if (!isGroupChat(chat)) return false;
+    try {
+        const member = await bot.getChatMember(chat.id, userId);
+        return member.status === 'creator' || member.status === 'administrator';
+    } catch (err) {
+        logger.warn('Could not check chat admin', { chatId: chat.id, err });
+        return false;
+    }
+}
+
+/**
+ * Checks whether a group message is meant for the bot
+ * @param {object} msg - Telegram message
+ * @returns {Promise<boolean>} True for replies to the bot and messages mentioning it
+ */
+async function isAddressedToBot(msg) {
+    let me;
+    try {
+        me = await getBotInfo();
+    } catch (err) {
+        logger.warn('Could not get bot info', { chatId: msg.chat.id, err });
+        return false;
+    }
+
+    if (msg.reply_to_message && msg.reply_to_message.from && msg.reply_to_message.from.id === me.id) {
+        return true;
+    }
+
+    const text = msg.text || msg.caption || '';
+    const entities = msg.entities || msg.caption_entities || [];
+    return entities.some((entity) => (entity.type === 'mention'
+        ? text.slice(entity.offset, entity.offset + entity.length).toLowerCase() === `@${me.username.toLowerCase()}`
+        : entity.type === 'text_mention' && entity.user && entity.user.id === me.id));
+}
+
+/**
+ * Gets how the bot answers links in a group
+ * @param {number} chatId - Group chat ID
+ * @returns {string} "menu" (quality buttons) or "auto" (silent download of the preset)
+ */
+function getGroupMode(chatId) {
+    const settings = groupSettings.get(String(chatId));
+    return (settings && settings.mode) || 'menu';
+}
+
+/**
+ * Handles every link of a message, one after another
+ * @param {object} msg - Telegram message
+ * @param {string[]} urls - Links found in the message
+ */
+async function handleMessageUrls(msg, urls) {
+    const chatId = msg.chat.id;
+    const auto = isGroupChat(msg.chat) && getGroupMode(chatId) === 'auto';
+
+    if (!(await admitRequest(msg))) return;
 
-        messageText += `${EMOJI.OPTIONS} ${fmt.bold('Choose download option:')}`;
+    for (const url of urls.slice(0, MAX_URLS_PER_MESSAGE)) {
+        await processMediaUrl(chatId, url, {
+            auto,
+            userId: msg.from.id,
+            replyTo: msg.message_id,
+            lang: getLanguage(msg.from)
+        });
+    }
+}
 
-        // Update message with format options
-        await bot.editMessageText(messageText, {
-            chat_id: chatId,
-            message_id: sentMessage.message_id,
-            reply_markup: options.reply_markup,
+/**
+ * Handle /dl command
+ * Downloads the links in the command, or in the message it replies to
+ * (the way to use the bot in groups)
+ */
+bot.onText(/^\/dl(?:@\w+)?(?:\s|$)/, async (msg) => {
+    let urls = extractUrls(msg);
+    if (!urls.length && msg.reply_to_message) urls = extractUrls(msg.reply_to_message);
+
+    if (!urls.length) {
+        const t = translatorFor(msg.from);
+        return bot.sendMessage(
+            msg.chat.id,
+            `${EMOJI.LINK} ${fmt.bold(t('common.usage'))} ${fmt.code('/dl &lt;url&gt;')}\n\n` +
+            `${fmt.italic(t('dl.replyHint'))} ${fmt.code('/dl')}`,
+            { parse_mode: 'HTML', reply_to_message_id: msg.message_id, allow_sending_without_reply: true }
+        );
+    }
+
+    await handleMessageUrls(msg, urls);
+});
+
+/**
+ * Handle /groupmode command
+ * Lets group admins choose between the quality menu and silent auto-download
+ */
+bot.onText(/^\/groupmode(?:@\w+)?(?=\s|$)(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const t = translatorFor(msg.from);
+
+    if (!isGroupChat(msg.chat)) {
+        return bot.sendMessage(chatId, `${EMOJI.INFO} ${fmt.bold(t('group.onlyGroups'))}`, {
             parse_mode: 'HTML'
         });
+    }
+
+    const mode = (match[1] || '').toLowerCase();
+    if (mode !== 'auto' && mode !== 'menu') {
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.OPTIONS} ${fmt.bold(t('group.mode'))} ${getGroupMode(chatId)}\n\n` +
+            `${fmt.code('/groupmode menu')} ${fmt.italic(t('group.menuHint'))}\n` +
+            `${fmt.code('/groupmode auto')} ${fmt.italic(t('group.autoHint'))}`,
+            { parse_mode: 'HTML' }
+        );
+    }
+
+    if (!(await isChatAdmin(msg.chat, msg.from.id))) {
+        return bot.sendMessage(chatId, `${EMOJI.ERROR} ${fmt.bold(t('group.adminsOnly'))}`, {
+            parse_mode: 'HTML',
+            reply_to_message_id: msg.message_id,
+            allow_sending_without_reply: true
+        });
+    }
+
+    groupSettings.set(String(chatId), { ...groupSettings.get(String(chatId)), mode });
+    bot.sendMessage(chatId, `${EMOJI.SUCCESS} ${fmt.bold(t('group.modeSet'))} ${mode}`, { parse_mode: 'HTML' });
+});
+
+/**
+ * Builds the /language buttons, one per catalog in locales/
+ * @param {string} current - Language the user has now
+ * @returns {Array} Inline keyboard rows
+ */
+function buildLanguageKeyboard(current) {
+    return i18n.languages.map((language) => [{
+        text: `${language === current ? EMOJI.CHECKED : EMOJI.UNCHECKED} ${i18n.translate(language, 'language.name')}`,
+        callback_data: signCallback('lang', language)
+    }]);
+}
+
+/**
+ * Handle /language command
+ * Lets users pick the bot's language (otherwise taken from their Telegram app)
+ */
+bot.onText(/^\/language(?:@\w+)?$/, (msg) => {
+    const t = translatorFor(msg.from);
+    bot.sendMessage(
+        msg.chat.id,
+        `${EMOJI.GLOBE} ${fmt.bold(t('language.choose'))}\n\n${fmt.italic(t('language.hint'))}`,
+        { parse_mode: 'HTML', reply_markup: { inline_keyboard: buildLanguageKeyboard(t.language) } }
+    );
+});
+
+/**
+ * Handles the /language buttons
+ * @param {string} language - Chosen language
+ * @param {object} query - Telegram callback query
+ */
+async function handleLanguageAction(language, query) {
+    if (!i18n.languages.includes(language)) return bot.answerCallbackQuery(query.id);
+
+    userLanguages.set(String(query.from.id), language);
+    const t = i18n.translator(language);
+    await bot.answerCallbackQuery(query.id, { text: t('language.changed') });
+    await bot.editMessageText(
+        `${EMOJI.GLOBE} ${fmt.bold(t('language.choose'))}\n\n${fmt.italic(t('language.hint'))}`,
+        {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: buildLanguageKeyboard(language) }
+        }
+    ).catch(() => {}); // "message is not modified" when nothing changed
+}
+
+/**
+ * Builds the /settings message and buttons of a user
+ * @param {number} userId - Telegram user ID (the buttons only work for them)
+ * @param {Function} t - Translator of the user
+ * @returns {object} { text, keyboard }
+ */
+function describeSettings(userId, t) {
+    const prefs = preferences.get(userId);
+    const mark = (selected) => (selected ? `${EMOJI.CHECKED} ` : '');
+    const button = (name, value, text) => ({
+        text: `${mark(String(prefs[name]) === String(value))}${text}`,
+        callback_data: signCallback(`set_${name}`, `${userId}:${value}`)
+    });
+    const preset = prefs.mode === 'audio'
+        ? `${t('settings.audio')}, MP3 ${prefs.audioBitrate}kbps`
+        : `${t('settings.video')}, ${t('settings.upTo', { height: prefs.videoHeight })}`;
+
+    const text = `${EMOJI.OPTIONS} ${fmt.bold(t('settings.title'))}\n\n` +
+                 `${fmt.bold(t('settings.preset'))} ${preset}\n` +
+                 `${fmt.bold(t('settings.sendAs'))} ${t(prefs.sendAs === 'document' ? 'settings.document' : 'settings.media')}\n` +
+                 `${fmt.bold(t('settings.auto'))} ${t(prefs.auto ? 'settings.on' : 'settings.off')}\n\n` +
+                 fmt.italic(t('settings.hint'));
+
+    const keyboard = [
+        [button('mode', 'video', `${EMOJI.VIDEO} ${t('settings.video')}`), button('mode', 'audio', `${EMOJI.AUDIO} ${t('settings.audio')}`)],
+        VIDEO_HEIGHTS.map((height) => button('videoHeight', height, `${height}p`)),
+        AUDIO_BITRATES.map((bitrate) => button('audioBitrate', bitrate, `${bitrate}kbps`)),
+        [button('sendAs', 'media', t('settings.media')), button('sendAs', 'document', t('settings.document'))],
+        [{
+            text: `${prefs.auto ? EMOJI.CHECKED : EMOJI.UNCHECKED} ${t('settings.autoButton')}`,
+            callback_data: signCallback('set_auto', `${userId}:${prefs.auto ? 'off' : 'on'}`)
+        }]
+    ];
+    return { text, keyboard };
+}
+
+/**
+ * Builds the "change preset" button put under auto-downloaded files
+ * @param {object} session - Download session
+ * @returns {object|undefined} Reply markup, undefined when the menus were used
+ */
+function buildPresetKeyboard(session) {
+    if (!session.autoStarted) return undefined;
+    const t = i18n.translator(session.lang);
+    return {
+        inline_keyboard: [[{
+            text: `${EMOJI.OPTIONS} ${t('settings.changePreset')}`,
+            callback_data: signCallback('settings', 'open')
+        }]]
+    };
+}
+
+/**
+ * Handle /settings command
+ * Default mode, quality and delivery, and one-tap auto-download
+ */
+bot.onText(/^\/settings(?:@\w+)?$/, (msg) => {
+    const { text, keyboard } = describeSettings(msg.from.id, translatorFor(msg.from));
+    bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+});
+
+/**
+ * Handles the /settings buttons and the "change preset" button under files
+ * @param {string} action - "settings" (open the menu) or "set_<preference>"
+ * @param {string} data - "<user id>:<value>" for set_ actions
+ * @param {object} query - Telegram callback query
+ */
+async function handleSettingsAction(action, data, query) {
+    const t = translatorFor(query.from);
+
+    if (action === 'settings') {
+        await bot.answerCallbackQuery(query.id);
+        const { text, keyboard } = describeSettings(query.from.id, t);
+        await bot.sendMessage(query.message.chat.id, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+        return;
+    }
+
+    const [owner, raw] = data.split(':');
+    if (Number(owner) !== query.from.id) {
+        return bot.answerCallbackQuery(query.id, { text: t('settings.notYours'), show_alert: true });
+    }
+
+    const name = action.slice('set_'.length);
+    const value = name === 'auto' ? raw === 'on' : (/^\d+$/.test(raw) ? Number(raw) : raw);
+    if (!preferences.update(query.from.id, name, value)) return bot.answerCallbackQuery(query.id);
+
+    await bot.answerCallbackQuery(query.id, { text: t('settings.saved') });
+    const { text, keyboard } = describeSettings(query.from.id, t);
+    await bot.editMessageText(text, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: keyboard }
+    }).catch(() => {}); // "message is not modified" when nothing changed
+}
+
+/* ====================== */
+/* ADMIN COMMANDS         */
+/* ====================== */
+
+/**
+ * Checks that a command comes from a bot admin (ADMIN_IDS), answering if not
+ * @param {object} msg - Telegram message
+ * @returns {boolean} True for admins
+ */
+function requireAdmin(msg) {
+    if (accessPolicy.isAdmin(msg.from.id)) return true;
+    bot.sendMessage(msg.chat.id, `${EMOJI.ERROR} ${fmt.bold(translatorFor(msg.from)('admin.only'))}`, {
+        parse_mode: 'HTML'
+    });
+    return false;
+}
+
+// /access arguments mapped to policy names
+const ACCESS_LISTS = {
+    allow: { user: 'allowUsers', chat: 'allowChats' },
+    block: { user: 'blockUsers', chat: 'blockChats' }
+};
+const ACCESS_LIMITS = {
+    downloads: 'dailyDownloads',
+    mb: 'dailyMB',
+    rate: 'rateRequests',
+    window: 'rateWindowMinutes'
+};
+
+/**
+ * Builds the /access overview: lists, limits and usage
+ * @param {Function} t - Translator of the admin
+ * @returns {string} HTML message
+ */
+function describeAccess(t) {
+    const lists = accessPolicy.getLists();
+    const limits = accessPolicy.getLimits();
+    const ids = (list) => (list.length ? list.map((id) => fmt.code(id)).join(', ') : fmt.italic(t('common.none')));
+    const limit = (value, unit = '') => (value ? `${value}${unit}` : t('admin.unlimited'));
+    const rate = limits.rateRequests
+        ? t('admin.rateValue', { count: limits.rateRequests, minutes: limits.rateWindowMinutes })
+        : t('admin.off');
+
+    return `${EMOJI.OPTIONS} ${fmt.bold(t('admin.accessTitle'))}\n\n` +
+           `${fmt.bold(t('admin.allowedUsers'))} ${ids(lists.allowUsers)}\n` +
+           `${fmt.bold(t('admin.allowedChats'))} ${ids(lists.allowChats)}\n` +
+           `${fmt.bold(t('admin.blockedUsers'))} ${ids(lists.blockUsers)}\n` +
+           `${fmt.bold(t('admin.blockedChats'))} ${ids(lists.blockChats)}\n\n` +
+           `${fmt.bold(t('admin.dailyDownloads'))} ${limit(limits.dailyDownloads)}\n` +
+           `${fmt.bold(t('admin.dailySize'))} ${limit(limits.dailyMB, 'MB')}\n` +
+           `${fmt.bold(t('admin.rateLimit'))} ${rate}\n\n` +
+           `${fmt.code('/access allow|block|remove user|chat &lt;id&gt;')}\n` +
+           `${fmt.code('/access limit downloads|mb|rate|window &lt;n&gt;')}\n` +
+           `${fmt.code('/access usage &lt;user id&gt;')}\n` +
+           fmt.italic(t('admin.accessHint'));
+}
+
+/**
+ * Handle /access command
+ * Lets bot admins (ADMIN_IDS) manage the allow/block lists and limits at runtime
+ */
+bot.onText(/^\/access(?:@\w+)?(?:\s+(.*))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!requireAdmin(msg)) return;
+    const t = translatorFor(msg.from);
+
+    const [command, target, argument] = (match[1] || '').trim().toLowerCase().split(/\s+/);
+    const number = parseInt(argument, 10); // User/chat ID or limit value
+    const reply = (text) => bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+
+    if ((command === 'allow' || command === 'block' || command === 'remove') && (target === 'user' || target === 'chat') && number) {
+        if (command === 'remove') {
+            accessPolicy.updateList(ACCESS_LISTS.allow[target], number, false);
+            accessPolicy.updateList(ACCESS_LISTS.block[target], number, false);
+        } else {
+            accessPolicy.updateList(ACCESS_LISTS[command][target], number, true);
+        }
+        return reply(`${EMOJI.SUCCESS} ${fmt.bold(t('admin.updated'))}\n\n${describeAccess(t)}`);
+    }
+
+    if (command === 'limit' && ACCESS_LIMITS[target] && number >= 0) {
+        if (target === 'window' && !number) return reply(`${EMOJI.ERROR} ${fmt.bold(t('admin.windowTooShort'))}`);
+        accessPolicy.setLimit(ACCESS_LIMITS[target], number);
+        return reply(`${EMOJI.SUCCESS} ${fmt.bold(t('admin.updated'))}\n\n${describeAccess(t)}`);
+    }
+
+    if (command === 'usage' && parseInt(target, 10)) {
+        const used = accessPolicy.getUsage(parseInt(target, 10));
+        return reply(
+            `${EMOJI.INFO} ${fmt.bold(t('admin.usageToday'))} ${fmt.code(target)}\n\n` +
+            `${fmt.bold(t('admin.downloads'))} ${used.downloads}\n` +
+            `${fmt.bold(t('common.size'))} ${(used.bytes / (1024 * 1024)).toFixed(2)}MB`
+        );
+    }
+
+    return reply(describeAccess(t));
+});
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512.0KB", "12.34MB" or "1.50GB"
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)}GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+    return `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Adds up the size of every file below a folder
+ * @param {string} dir - Folder to measure
+ * @returns {Promise<object>} { bytes, files }
+ */
+async function getFolderSize(dir) {
+    const usage = { bytes: 0, files: 0 };
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        try {
+            if (entry.isDirectory()) {
+                const inner = await getFolderSize(entryPath);
+                usage.bytes += inner.bytes;
+                usage.files += inner.files;
+            } else if (entry.isFile()) {
+                usage.bytes += (await fs.promises.stat(entryPath)).size;
+                usage.files++;
+            }
+        } catch (err) {
+            // Deleted while we were counting
+        }
+    }
+    return usage;
+}
+
+/**
+ * Short, stable key of a queue job for the /status kill buttons
+ * (inline job IDs are too long for callback data)
+ * @param {string} jobId - Queue job ID
+ * @returns {string} 12 hex characters
+ */
+function getJobKey(jobId) {
+    return crypto.createHash('sha256').update(jobId).digest('hex').slice(0, 12);
+}
+
+/**
+ * Builds the /status message: running and waiting jobs with kill buttons
+ * @param {Function} t - Translator of the admin
+ * @returns {object} { text, keyboard }
+ */
+function describeStatus(t) {
+    const { running, waiting } = downloadQueue.list();
+    const now = Date.now();
+    const jobs = [
+        ...running.map((job) => ({
+            job,
+            state: t('admin.jobRunning', { time: formatDuration((now - job.startedAt) / 1000) })
+        })),
+        ...waiting.map((job, index) => ({
+            job,
+            state: t('admin.jobWaiting', { position: index + 1, time: formatDuration((now - job.queuedAt) / 1000) })
+        }))
+    ].slice(0, 20);
+
+    let text = `${EMOJI.PROGRESS} ${fmt.bold(t('admin.statusTitle'))}\n\n` +
+               `${fmt.bold(t('admin.running'))} ${running.length}/${MAX_CONCURRENT_DOWNLOADS}\n` +
+               `${fmt.bold(t('admin.waiting'))} ${waiting.length}\n` +
+               `${fmt.bold(t('admin.sessions'))} ${activeDownloads.size}`;
+
+    if (jobs.length) {
+        text += '\n\n' + jobs.map(({ job, state }, index) =>
+            `${index + 1}. ${fmt.escape((job.title || job.id).substring(0, 60))}\n` +
+            `    ${fmt.italic(t('admin.jobLine', { user: job.userId, state }))}`
+        ).join('\n');
+    }
+
+    // One kill button per job, four to a row, plus a refresh button
+    const buttons = jobs.map(({ job }, index) => ({
+        text: `${EMOJI.CANCEL} ${index + 1}`,
+        callback_data: signCallback('kill', getJobKey(job.id))
+    }));
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += 4) keyboard.push(buttons.slice(i, i + 4));
+    keyboard.push([{ text: `🔄 ${t('admin.refresh')}`, callback_data: signCallback('status', 'refresh') }]);
+
+    return { text, keyboard };
+}
+
+/**
+ * Handles the buttons of the /status message
+ * @param {string} action - "kill" or "status" (refresh)
+ * @param {string} key - Job key (see getJobKey) for kill
+ * @param {object} query - Telegram callback query
+ */
+async function handleStatusAction(action, key, query) {
+    const t = translatorFor(query.from);
+    if (!accessPolicy.isAdmin(query.from.id)) {
+        return bot.answerCallbackQuery(query.id, { text: t('admin.buttonOnly'), show_alert: true });
+    }
+
+    if (action === 'kill') {
+        const { running, waiting } = downloadQueue.list();
+        const job = [...running, ...waiting].find((entry) => getJobKey(entry.id) === key);
+        let answer = t('admin.jobFinished');
+        if (job) answer = t(downloadQueue.cancel(job.id) ? 'admin.jobStopped' : 'admin.jobNotStoppable');
+        await bot.answerCallbackQuery(query.id, { text: answer });
+    } else {
+        await bot.answerCallbackQuery(query.id);
+    }
+
+    const { text, keyboard } = describeStatus(t);
+    await bot.editMessageText(text, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: keyboard }
+    }).catch(() => {}); // "message is not modified" when nothing changed
+}
+
+/**
+ * Handle /status command
+ * Lists running and waiting jobs, each with a kill button
+ */
+bot.onText(/^\/status(?:@\w+)?$/, (msg) => {
+    if (!requireAdmin(msg)) return;
+
+    const { text, keyboard } = describeStatus(translatorFor(msg.from));
+    bot.sendMessage(msg.chat.id, text, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: { inline_keyboard: keyboard }
+    });
+});
+
+/**
+ * Handle /stats command
+ * Downloads by platform, failure rate, bytes served and disk usage
+ */
+bot.onText(/^\/stats(?:@\w+)?$/, async (msg) => {
+    if (!requireAdmin(msg)) return;
+    const t = translatorFor(msg.from);
+
+    const { platforms, totals } = stats.summary();
+    const attempts = totals.downloads + totals.failures;
+    const failureRate = attempts ? ((totals.failures / attempts) * 100).toFixed(1) : '0.0';
+    const disk = await getFolderSize(DOWNLOAD_FOLDER);
+
+    let text = `${EMOJI.PROGRESS} ${fmt.bold(t('admin.statsTitle'))}\n\n` +
+               `${fmt.bold(t('admin.downloads'))} ${totals.downloads}\n` +
+               `${fmt.bold(t('common.failed'))} ${totals.failures} (${failureRate}%)\n` +
+               `${fmt.bold(t('admin.served'))} ${formatBytes(totals.bytes)}\n` +
+               `${fmt.bold(t('admin.knownUsers'))} ${knownUsers.size()}\n` +
+               `${EMOJI.DISK} ${fmt.bold(t('admin.downloadFolder'))} ` +
+               t('admin.folderFiles', { size: formatBytes(disk.bytes), count: disk.files });
+
+    if (platforms.length) {
+        text += `\n\n${fmt.bold(t('admin.byPlatform'))}\n` + platforms.map((entry) =>
+            `• ${entry.platform}: ${entry.downloads} ` +
+            `(${t('admin.platformFailed', { count: entry.failures })}), ${formatBytes(entry.bytes)}`
+        ).join('\n');
+    }
+
+    bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML' });
+});
+
+/**
+ * Gets the user a moderation command is about
+ * @param {object} msg - Command message
+ * @param {string} [argument] - User ID typed after the command
+ * @returns {number|null} User ID from the argument or the replied-to message
+ */
+function getTargetUserId(msg, argument) {
+    const id = parseInt(argument, 10);
+    if (id) return id;
+    if (msg.reply_to_message && msg.reply_to_message.from) return msg.reply_to_message.from.id;
+    return null;
+}
+
+/**
+ * Handle /ban and /unban commands
+ * Blocks (or unblocks) a user by ID, or the author of the replied-to message
+ */
+bot.onText(/^\/(ban|unban)(?:@\w+)?(?=\s|$)(?:\s+(\S+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!requireAdmin(msg)) return;
+    const t = translatorFor(msg.from);
+
+    const [, command, argument] = match;
+    const userId = getTargetUserId(msg, argument);
+    if (!userId) {
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.BAN} ${fmt.bold(t('common.usage'))} ${fmt.code(`/${command} &lt;user id&gt;`)}\n\n` +
+            fmt.italic(t('admin.banReplyHint')),
+            { parse_mode: 'HTML' }
+        );
+    }
+
+    if (command === 'unban') {
+        const changed = accessPolicy.updateList('blockUsers', userId, false);
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.SUCCESS} ${fmt.bold(t(changed ? 'admin.unbanned' : 'admin.notBanned'))} ${fmt.code(userId)}`,
+            { parse_mode: 'HTML' }
+        );
+    }
+
+    if (accessPolicy.isAdmin(userId)) {
+        return bot.sendMessage(chatId, `${EMOJI.ERROR} ${fmt.bold(t('admin.cantBanAdmin'))}`, { parse_mode: 'HTML' });
+    }
+
+    accessPolicy.updateList('blockUsers', userId, true);
+
+    // Stop whatever the user still has in the queue
+    const { running, waiting } = downloadQueue.list();
+    let stopped = 0;
+    for (const job of [...running, ...waiting]) {
+        if (job.userId === userId && downloadQueue.cancel(job.id)) stopped++;
+    }
+
+    bot.sendMessage(
+        chatId,
+        `${EMOJI.BAN} ${fmt.bold(t('admin.banned'))} ${fmt.code(userId)}` +
+        (stopped ? `\n\n${fmt.italic(t('admin.jobsStopped', { count: stopped }))}` : ''),
+        { parse_mode: 'HTML' }
+    );
+});
+
+let broadcastRunning = false; // One announcement at a time
+
+/**
+ * Handle /broadcast command
+ * Sends an announcement to every known user, one message at a time.
+ * The text after the command is sent as is; replying to a message
+ * with /broadcast copies that message instead (keeps formatting and media).
+ */
+bot.onText(/^\/broadcast(?:@\w+)?(?=\s|$)(?:\s+([\s\S]+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!requireAdmin(msg)) return;
+    const t = translatorFor(msg.from);
+
+    const text = match[1] && match[1].trim();
+    const source = msg.reply_to_message;
+    if (!text && !source) {
+        return bot.sendMessage(
+            chatId,
+            `${EMOJI.BROADCAST} ${fmt.bold(t('common.usage'))} ${fmt.code('/broadcast &lt;message&gt;')}\n\n` +
+            fmt.italic(t('admin.broadcastReplyHint')),
+            { parse_mode: 'HTML' }
+        );
+    }
+    if (broadcastRunning) {
+        return bot.sendMessage(chatId, `${EMOJI.INFO} ${fmt.bold(t('admin.broadcastRunning'))}`, { parse_mode: 'HTML' });
+    }
 
-        // Store progress message ID in session
-        activeDownloads.get(sessionId).progressMessageId = sentMessage.message_id;
+    const blocked = accessPolicy.getLists().blockUsers;
+    const recipients = knownUsers.entries()
+        .filter(([, user]) => !user.inactive)
+        .map(([userId]) => Number(userId))
+        .filter((userId) => !blocked.includes(userId));
 
+    broadcastRunning = true;
+    let progress;
+    let sent = 0;
+    let failed = 0;
+    try {
+        progress = await bot.sendMessage(
+            chatId,
+            `${EMOJI.BROADCAST} ${fmt.bold(t('admin.broadcasting'))}\n\n` +
+            fmt.italic(t('admin.sendingTo', { count: recipients.length })),
+            { parse_mode: 'HTML' }
+        );
+        for (const userId of recipients) {
+            try {
+                if (source) {
+                    await bot.copyMessage(userId, chatId, source.message_id);
+                } else {
+                    await bot.sendMessage(userId, text, { disable_web_page_preview: true });
+                }
+                sent++;
+            } catch (err) {
+                failed++;
+                // The user blocked the bot or deleted their account: skip them from now on
+                if (err.response && err.response.statusCode === 403) {
+                    knownUsers.set(String(userId), { ...knownUsers.get(String(userId)), inactive: true });
+                }
+            }
+            await new Promise((resolve) => setTimeout(resolve, BROADCAST_INTERVAL));
+        }
     } catch (err) {
-        console.error('Error processing URL:', err);
-        bot.sendMessage(
+        // Only the progress message gets here; a failed recipient is counted above
+        logger.warn('Broadcast not started', { err });
+        return;
+    } finally {
+        broadcastRunning = false;
+    }
+
+    await bot.editMessageText(
+        `${EMOJI.BROADCAST} ${fmt.bold(t('admin.broadcastFinished'))}\n\n` +
+        `${EMOJI.SUCCESS} ${fmt.bold(t('common.sent'))} ${sent}\n` +
+        `${EMOJI.ERROR} ${fmt.bold(t('common.failed'))} ${failed}`,
+        { chat_id: chatId, message_id: progress.message_id, parse_mode: 'HTML' }
+    ).catch(() => {});
+});
+
+/**
+ * Remember everyone who talks to the bot in private, for /broadcast
+ * (a new message also brings back users that had blocked the bot)
+ */
+bot.on('message', (msg) => {
+    if (msg.chat.type !== 'private' || !msg.from) return;
+    knownUsers.set(String(msg.from.id), {
+        firstName: msg.from.first_name,
+        username: msg.from.username || null,
+        lastSeen: Date.now()
+    });
+});
+
+/**
+ * Handle media URL messages
+ * Private chats: every message is checked for links. Groups: only messages
+ * that mention the bot or reply to it (or /dl) are looked at.
+ */
+bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const text = msg.text || msg.caption;
+
+    // Ignore messages without text, commands and results posted through inline mode
+    if (!text || (msg.text && msg.text.startsWith('/')) || msg.via_bot) return;
+
+    const urls = extractUrls(msg);
+
+    if (!urls.length) {
+        // Not a link: maybe the answer to a question we asked (e.g. playlist range)
+        const inputKey = `${chatId}:${msg.from.id}`;
+        if (msg.text && pendingInputs.has(inputKey)) {
+            const pending = pendingInputs.get(inputKey);
+            pendingInputs.delete(inputKey);
+            return handlePendingInput(msg, pending);
+        }
+
+        // Don't answer ordinary group chatter
+        if (isGroupChat(msg.chat)) return;
+
+        const t = translatorFor(msg.from);
+        return bot.sendMessage(
             chatId,
-            `${EMOJI.ERROR} ${fmt.bold('Error processing URL')}\n\n` +
-            `${fmt.italic('Please check the link and try again.')}\n` +
-            `${fmt.code(err.message)}`,
+            `${EMOJI.ERROR} ${fmt.bold(t('link.invalid'))}\n\n` +
+            `${fmt.italic(t('link.invalidHint'))}\n` +
+            `${fmt.code(t('link.platforms'))}`,
             { 
                 parse_mode: 'HTML',
                 disable_web_page_preview: true
             }
         );
     }
+
+    if (isGroupChat(msg.chat) && !(await isAddressedToBot(msg))) return;
+
+    await handleMessageUrls(msg, urls);
 });
 
 /* ====================== */
@@ -540,19 +3250,57 @@ bot.on('message', async (msg) => {
 bot.on('callback_query', async (query) => {
     const chatId = query.message.chat.id;
     const messageId = query.message.message_id;
-    const [action, sessionId] = query.data.split('|');
+    const userT = translatorFor(query.from); // Alerts are in the language of whoever pressed
+
+    // Reject button data that wasn't signed by us
+    const data = callbackSigner.verify(query.data);
+    if (!data) {
+        return bot.answerCallbackQuery(query.id, {
+            text: userT('callback.invalid'),
+            show_alert: true
+        });
+    }
+    let { action, sessionId } = data;
+
+    // The /status, /language and /settings buttons aren't tied to a media session
+    if (action === 'kill' || action === 'status') {
+        return handleStatusAction(action, sessionId, query);
+    }
+    if (action === 'lang') {
+        return handleLanguageAction(sessionId, query);
+    }
+    if (action === 'settings' || action.startsWith('set_')) {
+        return handleSettingsAction(action, sessionId, query);
+    }
 
     // Check if session is still valid
     if (!activeDownloads.has(sessionId)) {
         return bot.answerCallbackQuery(query.id, {
-            text: 'Session expired. Please send the link again.',
+            text: userT('callback.expired'),
+            show_alert: true
+        });
+    }
+
+    // Blocked users can't use buttons either
+    if (!accessPolicy.checkAccess({ userId: query.from.id, chatId }).allowed) {
+        return bot.answerCallbackQuery(query.id, {
+            text: userT('callback.notAllowed'),
+            show_alert: true
+        });
+    }
+
+    // Get session data
+    const session = activeDownloads.get(sessionId);
+
+    // Buttons belong to the user who sent the link (group admins may step in)
+    if (session.userId && query.from.id !== session.userId && !(await isChatAdmin(query.message.chat, query.from.id))) {
+        return bot.answerCallbackQuery(query.id, {
+            text: userT('callback.notYours'),
             show_alert: true
         });
     }
-
-    // Get session data
-    const session = activeDownloads.get(sessionId);
-    const { originalUrl: url, title, cleanTitle, platform, duration } = session;
+    const { title, platform, duration } = session;
+    const t = i18n.translator(session.lang); // Menus stay in the language of the link's sender
 
     try {
         // Acknowledge button press
@@ -562,93 +3310,45 @@ bot.on('callback_query', async (query) => {
         /* MENU NAVIGATION HANDLERS */
         /* ====================== */
 
-        if (action === 'audio_menu') {
-            // Show audio quality options
-            const audioOptions = {
-                reply_markup: {
-                    inline_keyboard: [
-                        [{
-                            text: `${EMOJI.AUDIO} MP3 (128kbps - Small)`,
-                            callback_data: `audio_128|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.AUDIO} MP3 (192kbps - Balanced)`,
-                            callback_data: `audio_192|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.AUDIO} MP3 (320kbps - Best Quality)`,
-                            callback_data: `audio_320|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.VIDEO} Back to Main Menu`,
-                            callback_data: `main_menu|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.CANCEL} Cancel`,
-                            callback_data: `cancel|${sessionId}`
-                        }]
-                    ]
-                },
-                parse_mode: 'HTML'
-            };
+        if (action === 'audio_menu' || action === 'video_menu') {
+            // Show the quality options of that kind
+            await showFormatMenu(chatId, messageId, sessionId, action.replace('_menu', ''));
+            return;
+        }
 
-            await bot.editMessageText(
-                `${EMOJI.AUDIO} ${fmt.bold('Audio Quality Options:')}\n\n` +
-                `${fmt.bold('Title:')} ${title}\n` +
-                `${fmt.bold('Source:')} ${platform}\n\n` +
-                `${fmt.italic('Select your preferred audio quality:')}`,
-                {
-                    chat_id: chatId,
-                    message_id: messageId,
-                    reply_markup: audioOptions.reply_markup,
-                    parse_mode: 'HTML'
-                }
+        if (action === 'trim_video' || action === 'trim_audio') {
+            // Route this user's next text message in this chat to the session
+            pendingInputs.set(`${chatId}:${query.from.id}`, { sessionId, type: 'trim_range', kind: action.slice('trim_'.length) });
+            await bot.sendMessage(
+                chatId,
+                `${EMOJI.SCISSORS} ${fmt.bold(t('clip.whichPart'))}\n\n` +
+                `${fmt.italic(t('clip.whichPartHint'))} ${fmt.code('1:30-2:00')}` +
+                (duration ? `\n${fmt.italic(t('clip.mediaLength', { duration: formatDuration(duration) }))}` : ''),
+                { parse_mode: 'HTML' }
             );
             return;
         }
 
-        if (action === 'video_menu') {
-            // Show video quality options
-            const videoOptions = {
-                reply_markup: {
-                    inline_keyboard: [
-                        [{
-                            text: `${EMOJI.VIDEO} 480p (Smaller Size)`,
-                            callback_data: `video_480|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.VIDEO} 720p (Recommended)`,
-                            callback_data: `video_720|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.VIDEO} Best Available`,
-                            callback_data: `video_best|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.AUDIO} Back to Audio Options`,
-                            callback_data: `audio_menu|${sessionId}`
-                        }],
-                        [{
-                            text: `${EMOJI.CANCEL} Cancel`,
-                            callback_data: `cancel|${sessionId}`
-                        }]
-                    ]
-                },
-                parse_mode: 'HTML'
-            };
+        if (action.startsWith('afmt_')) {
+            // Switch the audio output format and rebuild its quality choices
+            const format = action.slice('afmt_'.length);
+            if (!AUDIO_FORMATS[format] || format === session.audioFormat) return;
+            session.audioFormat = format;
+            session.audioOptions = buildAudioOptions({ formats: session.formats, duration }, {
+                maxFileSize: MAX_FILE_SIZE,
+                hideOversized: HIDE_OVERSIZED_FORMATS,
+                format,
+                t
+            });
+            activeDownloads.markChanged(sessionId);
+            await showFormatMenu(chatId, messageId, sessionId, 'audio');
+            return;
+        }
 
-            await bot.editMessageText(
-                `${EMOJI.VIDEO} ${fmt.bold('Video Quality Options:')}\n\n` +
-                `${fmt.bold('Title:')} ${title}\n` +
-                `${fmt.bold('Source:')} ${platform}\n\n` +
-                `${fmt.italic('Select your preferred video quality:')}`,
-                {
-                    chat_id: chatId,
-                    message_id: messageId,
-                    reply_markup: videoOptions.reply_markup,
-                    parse_mode: 'HTML'
-                }
-            );
+        if (action === 'untrim_video' || action === 'untrim_audio') {
+            session.clip = null;
+            activeDownloads.markChanged(sessionId);
+            await showFormatMenu(chatId, messageId, sessionId, action.slice('untrim_'.length));
             return;
         }
 
@@ -658,12 +3358,12 @@ bot.on('callback_query', async (query) => {
                 reply_markup: {
                     inline_keyboard: [
                         [{
-                            text: `${EMOJI.VIDEO} Video Options`,
-                            callback_data: `video_menu|${sessionId}`
+                            text: `${EMOJI.VIDEO} ${t('menu.videoOptions')}`,
+                            callback_data: signCallback('video_menu', sessionId)
                         }],
                         [{
-                            text: `${EMOJI.AUDIO} Audio Options`,
-                            callback_data: `audio_menu|${sessionId}`
+                            text: `${EMOJI.AUDIO} ${t('menu.audioOptions')}`,
+                            callback_data: signCallback('audio_menu', sessionId)
                         }]
                     ]
                 },
@@ -671,9 +3371,9 @@ bot.on('callback_query', async (query) => {
             };
 
             await bot.editMessageText(
-                `${EMOJI.OPTIONS} ${fmt.bold('Choose download option:')}\n\n` +
-                `${fmt.bold('Title:')} ${title}\n` +
-                `${fmt.bold('Source:')} ${platform}`,
+                `${EMOJI.OPTIONS} ${fmt.bold(t('menu.chooseOption'))}\n\n` +
+                `${fmt.bold(t('common.title'))} ${fmt.escape(title)}\n` +
+                `${fmt.bold(t('common.source'))} ${platform}`,
                 {
                     chat_id: chatId,
                     message_id: messageId,
@@ -685,243 +3385,683 @@ bot.on('callback_query', async (query) => {
         }
 
         if (action === 'cancel') {
-            // Handle cancellation
+            // A waiting or running job: stop it (cancelSessionJob() updates the message)
+            if (cancelSessionJobs(sessionId, 'user')) return;
+
+            // Otherwise just close the menu
             await bot.editMessageText(
-                `${EMOJI.INFO} ${fmt.bold('Operation canceled')}\n\n` +
-                `${fmt.italic('Send me another link if you want to download something.')}`,
+                `${EMOJI.INFO} ${fmt.bold(t('cancel.operationCanceled'))}\n\n` +
+                `${fmt.italic(t('cancel.sendAnother'))}`,
                 {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'HTML'
                 }
             );
+            if (session.oversizedFile) await workspace.remove(session.oversizedFile.dir);
             activeDownloads.delete(sessionId);
             return;
         }
 
+        if (action === 'split' || action === 'compress') {
+            // Split or compress a finished oversized download (runs in the queue like downloads)
+            if (!session.oversizedFile) return;
+            if (await isDiskLow()) return bot.sendMessage(chatId, describeDiskFull(t), { parse_mode: 'HTML' });
+            enqueueJob({
+                id: `${sessionId}:${action}`,
+                userId: query.from.id,
+                chatId,
+                title: `${title} (${action})`,
+                onQueued: (position) => showQueuePosition(chatId, messageId, position, sessionId, session.quality),
+                cancel: (reason) => cancelSessionJob(sessionId, chatId, messageId, reason),
+                run: () => (action === 'split'
+                    ? splitAndSend(sessionId, chatId, messageId)
+                    : compressAndSend(sessionId, chatId, messageId))
+            }, action, { sessionId, chatId, messageId })
+                .catch((err) => logger.error('Queued job failed', { sessionId, chatId, phase: action, err }));
+            return;
+        }
+
+        if (action.startsWith('pl_')) {
+            // Playlist selection and batch download
+            await handlePlaylistAction(action, sessionId, query);
+            return;
+        }
+
         /* ====================== */
         /* DOWNLOAD EXECUTION     */
         /* ====================== */
 
-        let command, finalFilename, isAudio = false, quality = '';
-
-        // Build appropriate yt-dlp command based on selection
-        if (action.startsWith('audio_')) {
-            // Audio download options
-            const bitrate = action.split('_')[1];
-            isAudio = true;
-            quality = `${bitrate}kbps`;
-            finalFilename = `${cleanTitle}.mp3`;
-            
-            command = `"${YT_DLP_PATH}" -x --audio-format mp3 --audio-quality ${bitrate} ` +
-                      `--embed-thumbnail --output "${path.join(DOWNLOAD_FOLDER, finalFilename)}" ` +
-                      `--newline "${url}"`;
-        } else if (action.startsWith('video_')) {
-            // Video download options
-            const qualityOption = action.split('_')[1];
-            finalFilename = `${cleanTitle}.mp4`;
-            
-            switch(qualityOption) {
-                case '480':
-                    command = `"${YT_DLP_PATH}" -f "best[height<=480][ext=mp4]" ` +
-                              `--merge-output-format mp4 --output "${path.join(DOWNLOAD_FOLDER, finalFilename)}" ` +
-                              `--newline "${url}"`;
-                    quality = '480p';
-                    break;
-                case '720':
-                    command = `"${YT_DLP_PATH}" -f "best[height<=720][ext=mp4]" ` +
-                              `--merge-output-format mp4 --output "${path.join(DOWNLOAD_FOLDER, finalFilename)}" ` +
-                              `--newline "${url}"`;
-                    quality = '720p';
-                    break;
-                case 'best':
-                    command = `"${YT_DLP_PATH}" -f "bestvideo[ext=mp4]+bestaudio[ext=m4a]/best[ext=mp4]" ` +
-                              `--merge-output-format mp4 --output "${path.join(DOWNLOAD_FOLDER, finalFilename)}" ` +
-                              `--newline "${url}"`;
-                    quality = 'Best Quality';
-                    break;
-            }
+        // "Download & split/compress" re-runs a format choice that was estimated too large
+        const oversizeMatch = action.match(/^(split|compress)_(.+)$/);
+        if (oversizeMatch) {
+            session.oversizeAction = oversizeMatch[1];
+            activeDownloads.markChanged(sessionId);
+            action = oversizeMatch[2];
         }
 
-        const filePath = path.join(DOWNLOAD_FOLDER, finalFilename);
-        session.formatType = action;
-        session.quality = quality;
-        activeDownloads.set(sessionId, session);
+        await startDownload({ sessionId, action, chatId, messageId, userId: query.from.id });
 
-        // Estimate file size before downloading
-        const sizeEstimate = await estimateFileSize(url, action);
-        
-        // Check if file would exceed Telegram's size limit
-        if (sizeEstimate.estimated && sizeEstimate.size > MAX_FILE_SIZE) {
-            await bot.editMessageText(
-                `${EMOJI.WARNING} ${fmt.bold('File Too Large!')}\n\n` +
-                `${fmt.bold('Title:')} ${title}\n` +
-                `${fmt.bold('Estimated Size:')} ${sizeEstimate.sizeMB}MB (max 50MB allowed)\n\n` +
-                `${fmt.italic('Try a lower quality option or audio format')}`,
-                { 
-                    chat_id: chatId, 
-                    message_id: messageId, 
-                    parse_mode: 'HTML' 
-                }
+    } catch (err) {
+        logger.error('Button handling failed', { sessionId, chatId, action, err });
+        await bot.sendMessage(
+            chatId,
+            `${EMOJI.ERROR} ${fmt.bold(t('callback.error'))}\n\n` +
+            `${fmt.italic(fmt.escape(err.message))}\n\n` +
+            `${fmt.italic(t('callback.errorHint'))}`,
+            { parse_mode: 'HTML' }
+        );
+        activeDownloads.delete(sessionId);
+    }
+});
+
+/* ====================== */
+/* INLINE MODE            */
+/* ====================== */
+
+/**
+ * Inline lookups
+ * Telegram sends a query for every keystroke: each user's queries wait
+ * INLINE_DEBOUNCE for the typing to stop, only the latest one is looked up,
+ * and lookups run through their own small queue (one per user,
+ * INLINE_MAX_LOOKUPS overall). Results are cached by the prober.
+ */
+const inlineLookups = createDownloadQueue({ maxConcurrent: INLINE_MAX_LOOKUPS, maxPerUser: 1 });
+const inlineTyping = new Map(); // userId -> debounce timer of the user's latest query
+const latestInlineQueries = new Map(); // userId -> ID of the user's latest query
+
+/**
+ * Running inline downloads
+ * inlineMessageId -> AbortController, so /status, /ban and the exit handler can stop them
+ */
+const inlineDownloads = new Map();
+
+/**
+ * Inline results waiting to be picked
+ * Result IDs are limited to 64 bytes, so they carry a token instead of the URL
+ */
+const inlineResults = createTtlCache({ ttl: INLINE_RESULT_TTL });
+
+/**
+ * Registers what an inline result downloads when picked
+ * @param {string} url - Media URL
+ * @param {string} kind - "video" or "audio"
+ * @returns {string} Result ID
+ */
+function registerInlineResult(url, kind) {
+    const token = crypto.randomBytes(8).toString('hex');
+    inlineResults.set(token, { url, kind });
+    return token;
+}
+
+/**
+ * Builds a placeholder result that is replaced by the media once downloaded
+ * @param {string} url - Media URL
+ * @param {string} kind - "video" or "audio"
+ * @param {object} card - What the result card shows
+ * @param {string} card.title - Card title
+ * @param {string} card.description - Card subtitle
+ * @param {string} [card.thumbnail] - Thumbnail URL
+ * @param {Function} t - Translator of the user
+ * @returns {object} InlineQueryResultArticle
+ */
+function buildPendingResult(url, kind, { title, description, thumbnail }, t) {
+    return {
+        type: 'article',
+        id: registerInlineResult(url, kind),
+        title,
+        description,
+        thumbnail_url: thumbnail || undefined,
+        input_message_content: {
+            message_text: `${EMOJI.CLOCK} ${fmt.bold(t('inline.preparing'))}\n\n${fmt.bold(t('common.title'))} ${fmt.escape(title)}`,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        },
+        // Inline messages can only be edited later if they carry a keyboard
+        reply_markup: {
+            inline_keyboard: [[{ text: `${EMOJI.LINK} ${t('inline.source')}`, url }]]
+        }
+    };
+}
+
+/**
+ * Lists earlier uploads of a media (any format, full length only)
+ * @param {object} info - Probe result of the media
+ * @returns {object[]} Cached uploads ({ fileId, isAudio, quality, sizeMB })
+ */
+function findCachedUploads(info) {
+    const prefix = info.id ? `${info.platform}:${info.id}|` : `${info.webpageUrl}|`;
+    return fileIdCache.entries()
+        .filter(([key, cached]) => key.startsWith(prefix) && !cached.asDocument && !/@[\d.]+-[\d.]+$/.test(key))
+        .map(([, cached]) => cached);
+}
+
+/**
+ * Builds the result cards for an inline query
+ * Links get their earlier uploads plus video/audio placeholders; playlists
+ * and search terms get one placeholder per entry.
+ * @param {string} text - Query text
+ * @param {Function} t - Translator of the user
+ * @returns {Promise<object[]>} Inline query results
+ */
+async function buildInlineResults(text, t) {
+    // Search terms differing only in case or spacing share one cached search
+    const info = await prober.probe(isHttpUrl(text)
+        ? text
+        : `ytsearch${INLINE_SEARCH_RESULTS}:${text.replace(/\s+/g, ' ').toLowerCase()}`);
+
+    if (info.isPlaylist) {
+        return info.entries
+            .filter((entry) => entry.url)
+            .slice(0, INLINE_SEARCH_RESULTS)
+            .map((entry) => buildPendingResult(entry.url, 'video', {
+                title: entry.title || `#${entry.index}`,
+                description: [entry.duration ? formatDuration(entry.duration) : null, entry.uploader]
+                    .filter(Boolean).join(' · '),
+                thumbnail: entry.thumbnail
+            }, t));
+    }
+
+    const title = info.title || text;
+    const details = [info.duration ? formatDuration(info.duration) : null, info.platform].filter(Boolean).join(' · ');
+
+    // Files Telegram already has are sent right away, no download needed
+    const cached = findCachedUploads(info).map((upload, index) => (upload.isAudio
+        ? { type: 'audio', id: `cached_${index}`, audio_file_id: upload.fileId }
+        : { type: 'video', id: `cached_${index}`, video_file_id: upload.fileId, title: `${title} (${upload.quality})`, description: `${upload.sizeMB}MB` }));
+
+    return [
+        ...cached,
+        buildPendingResult(text, 'video', {
+            title,
+            description: `${EMOJI.VIDEO} ${t('inline.video')} · ${details}`,
+            thumbnail: info.thumbnail
+        }, t),
+        buildPendingResult(text, 'audio', {
+            title,
+            description: `${EMOJI.AUDIO} ${t('inline.audio')} · ${details}`,
+            thumbnail: info.thumbnail
+        }, t)
+    ];
+}
+
+/**
+ * Downloads a picked inline result and puts the file into the inline message
+ * @param {object} job - Inline download details
+ * @param {string} job.url - Media URL
+ * @param {string} job.kind - "video" or "audio"
+ * @param {string} job.inlineMessageId - Placeholder message to replace
+ * @param {number} job.userId - User who picked the result
+ * @param {string} [job.lang] - Language of that user
+ * @param {boolean} [retried] - Set when retrying after a rejected cached file_id
+ * @returns {Promise<void>} Resolves when the job is finished (successfully or not)
+ */
+async function runInlineDownload({ url, kind, inlineMessageId, userId, lang }, retried = false) {
+    const t = i18n.translator(lang);
+    const isAudio = kind === 'audio';
+    const storageChatId = STORAGE_CHAT_ID || userId;
+    const editText = (text) => bot.editMessageText(text, {
+        inline_message_id: inlineMessageId,
+        parse_mode: 'HTML'
+    }).catch((err) => logger.warn('Could not update inline message', { inlineMessageId, err }));
+
+    let workDir = null;
+    let stored = null; // Upload in the storage chat
+    let fromCache = false;
+    let platform = null;
+
+    // Abortable through cancelInlineDownload() (the retry below gets its own)
+    const abortController = new AbortController();
+    inlineDownloads.set(inlineMessageId, abortController);
+
+    try {
+        const info = await getVideoInfo(url);
+        platform = info.platform;
+        const media = { ...info, originalUrl: url, mediaId: info.id, lang }; // Session-like, for the shared helpers
+        const limits = { maxFileSize: MAX_FILE_SIZE, hideOversized: true, t };
+        const options = isAudio ? buildAudioOptions(info, limits) : buildVideoOptions(info, limits);
+        const option = options[pickPresetOption(options, isAudio, preferences.get(userId))];
+        if (!option) throw new Error(t('inline.allTooLarge', { max: MAX_FILE_SIZE_LABEL }));
+
+        const cacheKey = getCacheKey(media, option);
+        let cached = fileIdCache.get(cacheKey);
+        fromCache = Boolean(cached);
+
+        if (!cached) {
+            await editText(
+                `${EMOJI.DOWNLOAD} ${fmt.bold(t('inline.downloading'))}\n\n` +
+                `${fmt.bold(t('common.title'))} ${fmt.escape(info.title)}\n` +
+                `${fmt.bold(t('common.quality'))} ${option.quality}`
             );
+
+            if (await isDiskLow()) throw new Error(t('download.diskFull'));
+            workDir = await workspace.create();
+            const { args, filePath } = buildDownloadArgs(option, { isAudio, cleanTitle: info.cleanTitle, dir: workDir });
+            await ytdlp.download(url, args, { signal: abortController.signal, timeout: DOWNLOAD_TIMEOUT });
+
+            if (!fs.existsSync(filePath)) throw new Error(t('download.fileMissing'));
+            const { size, sizeMB } = await checkFileSize(filePath);
+            if (size === 0) throw new Error(t('download.fileEmpty'));
+            if (size > MAX_FILE_SIZE) throw new Error(t('inline.tooLarge', { max: MAX_FILE_SIZE_LABEL }));
+
+            await editText(`${EMOJI.UPLOAD} ${fmt.bold(t('inline.uploading'))}\n\n${fmt.bold(t('common.title'))} ${fmt.escape(info.title)}`);
+            stored = await sendMediaFile(storageChatId, filePath, {
+                isAudio,
+                caption: buildCompleteCaption(media, option.quality, sizeMB),
+                ...getTrackTags(media),
+                duration: info.duration,
+                signal: abortController.signal
+            });
+            rememberFileId(cacheKey, stored, { isAudio, quality: option.quality, sizeMB });
+
+            cached = fileIdCache.get(cacheKey);
+            if (!cached) throw new Error(t('inline.noFileId'));
+        }
+
+        try {
+            await bot.editMessageMedia({
+                type: isAudio ? 'audio' : 'video',
+                media: cached.fileId,
+                caption: buildCompleteCaption(media, cached.quality, cached.sizeMB),
+                parse_mode: 'HTML'
+            }, { inline_message_id: inlineMessageId });
+            recordDelivery(userId, platform, parseFloat(cached.sizeMB) * 1024 * 1024, 'inline', { cached: fromCache });
+        } catch (err) {
+            if (!fromCache || retried) throw err;
+            // Telegram no longer accepts this file_id, download it again
+            logger.warn('Cached file_id rejected', { inlineMessageId, platform, phase: 'inline', err });
+            fileIdCache.delete(cacheKey);
+            await runInlineDownload({ url, kind, inlineMessageId, userId, lang }, true);
+        }
+    } catch (err) {
+        // A canceled download was already reported by cancelInlineDownload()
+        if (err.canceled || abortController.signal.aborted) {
+            recordCanceled(platform, 'inline');
+            logger.info('Inline download canceled', { inlineMessageId, platform, phase: 'inline' });
             return;
         }
 
-        // Update message to show download starting
-        await bot.editMessageText(
-            `${EMOJI.DOWNLOAD} ${fmt.bold('Starting Download...')}\n\n` +
-            `${fmt.bold('Title:')} ${title}\n` +
-            `${fmt.bold('Quality:')} ${quality}\n` +
-            (sizeEstimate.estimated ? `${fmt.bold('Estimated Size:')} ${sizeEstimate.sizeMB}MB\n` : '') +
-            `${fmt.italic('This may take a few moments...')}`,
-            { 
-                chat_id: chatId, 
-                message_id: messageId, 
-                parse_mode: 'HTML' 
-            }
+        const cause = recordFailure(platform, 'inline', err);
+        logger.error('Inline download failed', { inlineMessageId, platform, phase: 'inline', cause, err });
+        const forbidden = err.response && err.response.statusCode === 403;
+        await editText(
+            `${EMOJI.ERROR} ${fmt.bold(t('download.failed'))}\n\n` +
+            fmt.italic(forbidden ? t('inline.startFirst') : fmt.escape(err.message))
         );
+    } finally {
+        if (inlineDownloads.get(inlineMessageId) === abortController) inlineDownloads.delete(inlineMessageId);
+        await workspace.remove(workDir);
+        // The copy in the user's private chat was only needed to get a file_id
+        if (stored && !STORAGE_CHAT_ID) {
+            bot.deleteMessage(storageChatId, stored.message_id).catch(() => {});
+        }
+    }
+}
 
-        // Start the download process
-        const ytDlpProcess = exec(command);
-        session.downloadProcess = ytDlpProcess;
-        activeDownloads.set(sessionId, session);
+/**
+ * Answers an inline query once the user stopped typing
+ * The lookup is skipped when a newer query of the same user came in while
+ * this one waited for a slot (Telegram only shows the newest answer).
+ * @param {object} inlineQuery - Telegram inline query
+ * @returns {Promise<void>} Resolves once answered
+ */
+async function answerInlineQuery(inlineQuery) {
+    const userId = inlineQuery.from.id;
+    const answer = (results, cacheTime) => bot.answerInlineQuery(inlineQuery.id, results, { cache_time: cacheTime, is_personal: true })
+        .catch((err) => logger.warn('Could not answer inline query', { userId, err }));
 
-        // Monitor download progress
-        const rl = readline.createInterface({ input: ytDlpProcess.stdout });
+    // Every looked-up query counts like a sent link
+    if (!accessPolicy.checkRate(userId).allowed) return answer([], 10);
 
-        rl.on('line', (line) => {
-            // Extract progress percentage from yt-dlp output
-            const progressMatch = line.match(/\[download\]\s+(\d+\.\d+)%/);
-            if (progressMatch) {
-                const progress = Math.round(parseFloat(progressMatch[1]));
-                updateProgress(chatId, messageId, progress, title, platform);
-            }
+    try {
+        const results = await inlineLookups.enqueue({
+            id: `inline-query:${inlineQuery.id}`,
+            userId,
+            run: () => (latestInlineQueries.get(userId) === inlineQuery.id
+                ? buildInlineResults(inlineQuery.query.trim(), translatorFor(inlineQuery.from))
+                : null)
         });
+        if (results) await answer(results, 60);
+    } catch (err) {
+        logger.warn('Inline query failed', { userId, err });
+        await answer([], 10);
+    } finally {
+        if (latestInlineQueries.get(userId) === inlineQuery.id) latestInlineQueries.delete(userId);
+    }
+}
 
-        // Handle download completion
-        ytDlpProcess.on('close', async (code) => {
-            try {
-                if (code !== 0) throw new Error(`Download failed with code ${code}`);
-                
-                if (!fs.existsSync(filePath)) throw new Error('File not found after download');
-                
-                const { size, sizeMB } = await checkFileSize(filePath);
-                if (size === 0) throw new Error('Downloaded file is empty');
-                
-                // Final size check (in case estimation was wrong)
-                if (size > MAX_FILE_SIZE) {
-                    await bot.editMessageText(
-                        `${EMOJI.WARNING} ${fmt.bold('File Too Large!')}\n\n` +
-                        `${fmt.bold('Title:')} ${title}\n` +
-                        `${fmt.bold('Size:')} ${sizeMB}MB (max 50MB allowed)\n\n` +
-                        `${fmt.italic('Try a lower quality option or audio format')}`,
-                        { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
-                    );
-                    return;
-                }
-
-                // Force progress to 100% before sending
-                await updateProgress(chatId, messageId, 100, title, platform);
-                
-                // Show appropriate upload indicator
-                await bot.sendChatAction(chatId, isAudio ? 'upload_audio' : 'upload_video');
-                
-                // Prepare completion message
-                const caption = `${EMOJI.SUCCESS} ${fmt.bold('Download Complete!')}\n\n` +
-                               `${fmt.bold('Title:')} ${title}\n` +
-                               `${fmt.bold('Quality:')} ${quality}\n` +
-                               `${fmt.bold('Size:')} ${sizeMB}MB`;
-
-                // Send the downloaded file
-                if (isAudio) {
-                    await bot.sendAudio(
-                        chatId,
-                        fs.createReadStream(filePath),
-                        {
-                            title: cleanTitle,
-                            performer: platform,
-                            caption: caption,
-                            parse_mode: 'HTML'
-                        }
-                    );
-                } else {
-                    await bot.sendVideo(
-                        chatId,
-                        fs.createReadStream(filePath),
-                        {
-                            caption: caption,
-                            parse_mode: 'HTML'
-                        }
-                    );
-                }
+/**
+ * Handle inline queries (@bot <url or search terms>)
+ * Answers with result cards the user can post into any chat
+ */
+bot.on('inline_query', (inlineQuery) => {
+    const text = inlineQuery.query.trim();
+    const userId = inlineQuery.from.id;
+
+    // A new keystroke replaces the query still waiting for the typing to stop
+    clearTimeout(inlineTyping.get(userId));
+    inlineTyping.delete(userId);
+
+    // Refused users get no results (the inline query has no chat, only the user counts)
+    if (!accessPolicy.checkAccess({ userId, chatId: userId }).allowed || text.length < INLINE_MIN_QUERY_LENGTH) {
+        latestInlineQueries.delete(userId);
+        bot.answerInlineQuery(inlineQuery.id, [], { cache_time: 60, is_personal: true }).catch(() => {});
+        return;
+    }
 
-                // Delete the progress message
-                try {
-                    await bot.deleteMessage(chatId, messageId);
-                } catch (deleteError) {
-                    console.error('Error deleting progress message:', deleteError.message);
-                }
+    latestInlineQueries.set(userId, inlineQuery.id);
+    inlineTyping.set(userId, setTimeout(() => {
+        inlineTyping.delete(userId);
+        answerInlineQuery(inlineQuery);
+    }, INLINE_DEBOUNCE));
+});
 
-            } catch (err) {
-                console.error('Download failed:', err);
-                await bot.editMessageText(
-                    `${EMOJI.ERROR} ${fmt.bold('Download Failed')}\n\n` +
-                    `${fmt.italic(err.message)}\n\n` +
-                    `${fmt.bold('Title:')} ${title}\n` +
-                    `${fmt.italic('Please try again or use a different quality option.')}`,
-                    { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
-                );
-            } finally {
-                // Cleanup downloaded files and session
-                await cleanupFiles(filePath);
-                activeDownloads.delete(sessionId);
-            }
-        });
+/**
+ * Runs the checks a sent link goes through (see admitRequest) for a picked inline result
+ * Inline results have no chat, so only the user's own lists, rate and quota count.
+ * @param {number} userId - User who picked the result
+ * @param {Function} t - Translator of the user
+ * @returns {string|null} HTML refusal for the inline message, or null if the download may start
+ */
+function describeInlineRefusal(userId, t) {
+    if (!accessPolicy.checkAccess({ userId, chatId: userId }).allowed) {
+        return `${EMOJI.ERROR} ${fmt.bold(t('access.notAllowed'))}`;
+    }
 
-        // Handle download process errors
-        ytDlpProcess.on('error', (err) => {
-            console.error('Download process error:', err);
-            bot.sendMessage(
-                chatId,
-                `${EMOJI.ERROR} ${fmt.bold('Download Error')}\n\n` +
-                `${fmt.code(err.message)}\n\n` +
-                `${fmt.italic('Please try again later.')}`,
-                { parse_mode: 'HTML' }
-            );
-            activeDownloads.delete(sessionId);
-        });
+    const rate = accessPolicy.checkRate(userId);
+    if (!rate.allowed) {
+        return `${EMOJI.CLOCK} ${fmt.bold(t('access.tooManyRequests'))}\n\n` +
+               fmt.italic(t('access.tryAgainIn', { time: formatWaitTime(rate.retryAfter, t) }));
+    }
+    return describeQuotaRefusal(userId, t);
+}
 
-    } catch (err) {
-        console.error('Callback error:', err);
-        await bot.sendMessage(
-            chatId,
-            `${EMOJI.ERROR} ${fmt.bold('Error')}\n\n` +
-            `${fmt.italic(err.message)}\n\n` +
-            `${fmt.italic('Please try again or contact support if the problem persists.')}`,
-            { parse_mode: 'HTML' }
-        );
-        activeDownloads.delete(sessionId);
+/**
+ * Handle picked inline results
+ * Needs inline feedback enabled for the bot (/setinlinefeedback in @BotFather)
+ */
+bot.on('chosen_inline_result', (result) => {
+    const pending = inlineResults.get(result.result_id);
+    if (!pending || !result.inline_message_id) return; // An earlier upload, already complete
+
+    const t = translatorFor(result.from);
+    const refusal = describeInlineRefusal(result.from.id, t);
+    if (refusal) {
+        bot.editMessageText(refusal, { inline_message_id: result.inline_message_id, parse_mode: 'HTML' }).catch(() => {});
+        return;
     }
+
+    queueInlineDownload({
+        ...pending,
+        inlineMessageId: result.inline_message_id,
+        userId: result.from.id,
+        lang: t.language
+    });
 });
 
+/**
+ * Stops an inline download and tells the user in the inline message
+ * Used as the queue's cancel hook (see cancelSessionJob for chat downloads).
+ * @param {object} job - Inline job (see runInlineDownload)
+ * @param {string} [reason] - "user" or "admin"
+ */
+function cancelInlineDownload(job, reason = 'admin') {
+    const abortController = inlineDownloads.get(job.inlineMessageId);
+    if (abortController) abortController.abort();
+
+    const t = i18n.translator(job.lang);
+    bot.editMessageText(
+        `${EMOJI.CANCEL} ${fmt.bold(t('cancel.canceled'))}\n\n${fmt.italic(t(reason === 'user' ? 'cancel.byUser' : 'cancel.byAdmin'))}`,
+        { inline_message_id: job.inlineMessageId, parse_mode: 'HTML' }
+    ).catch((err) => logger.warn('Could not update canceled inline message', { inlineMessageId: job.inlineMessageId, err }));
+}
+
+/**
+ * Puts an inline download in the queue (see runInlineDownload for the job fields)
+ * @param {object} job - Inline job, as saved in its job record
+ */
+function queueInlineDownload(job) {
+    const t = i18n.translator(job.lang);
+    enqueueJob({
+        id: `inline:${job.inlineMessageId}`,
+        userId: job.userId,
+        title: `Inline: ${job.url}`,
+        onQueued: (position) => bot.editMessageText(
+            `${EMOJI.CLOCK} ${fmt.bold(t('queue.waiting'))}\n\n${fmt.bold(t('queue.position'))} ${position}`,
+            { inline_message_id: job.inlineMessageId, parse_mode: 'HTML' }
+        ).catch(() => {}),
+        cancel: (reason) => cancelInlineDownload(job, reason),
+        run: () => runInlineDownload(job)
+    }, 'inline', job).catch((err) => logger.error('Queued inline download failed', { inlineMessageId: job.inlineMessageId, err }));
+}
+
 /* ====================== */
 /* ERROR HANDLING         */
 /* ====================== */
 
 // Handle Telegram polling errors
 bot.on('polling_error', (error) => {
-    console.error(`Polling error: ${error.code} - ${error.message}`);
+    logger.error('Polling error', { code: error.code, err: error });
 });
 
 // Catch unhandled exceptions
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error('Uncaught exception', { err: error });
+});
+
+// Stop running yt-dlp/ffmpeg process groups (they would outlive the bot) and
+// save sessions and pending store changes when the process exits
+process.on('exit', () => {
+    for (const [, session] of activeDownloads.entries()) {
+        if (session.abortController) session.abortController.abort();
+    }
+    for (const abortController of inlineDownloads.values()) abortController.abort();
+    activeDownloads.save();
+    pendingInputs.save();
+    store.flush();
 });
 
 // Catch unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { err: reason });
 });
 
-// Startup message
-console.log(`${EMOJI.SUCCESS} Bot is running and waiting for messages...`);
\ No newline at end of file
+/**
+ * Download Folder Janitor
+ * Removes what crashed or killed runs left in the download folder, once at
+ * startup and then every JANITOR_INTERVAL (running jobs' folders are kept)
+ * @returns {Promise<void>} Resolves when the sweep is done
+ */
+function sweepDownloadFolder() {
+    return workspace.sweep()
+        .then((removed) => {
+            if (removed) logger.info('Janitor removed orphaned items from the download folder', { removed });
+        })
+        .catch((err) => logger.error('Janitor failed', { err }));
+}
+setInterval(sweepDownloadFolder, JANITOR_INTERVAL).unref();
+
+// Job types that can be queued again from their job record
+const RESUMABLE_JOBS = {
+    download: queueDownload,
+    playlist: queuePlaylistDownload,
+    inline: queueInlineDownload
+};
+
+/**
+ * Restart Recovery
+ * Picks up the jobs a previous run left unfinished: downloads and playlist
+ * batches are queued again (batches go on with the next entry), inline
+ * downloads start over. Split/compress jobs and oversized files waiting for
+ * a decision can't be, since the janitor removed their files, so their
+ * users are told to send the link again.
+ */
+function recoverJobs() {
+    const records = jobRecords.entries().sort(([, a], [, b]) => a.queuedAt - b.queuedAt);
+    const resumed = new Set(); // Sessions whose job was queued again
+
+    // Tells a user their job is gone
+    const notifyInterrupted = (target, t) => bot.editMessageText(
+        `${EMOJI.WARNING} ${fmt.bold(t('restart.interrupted'))}\n\n${fmt.italic(t('restart.interruptedHint'))}`,
+        { ...target, parse_mode: 'HTML' }
+    ).catch((err) => logger.warn('Could not notify interrupted job', { ...target, err }));
+
+    for (const [id, { type, details }] of records) {
+        jobRecords.delete(id);
+        const session = details.sessionId ? activeDownloads.get(details.sessionId) : null;
+        const t = i18n.translator((session || details).lang);
+        const target = details.inlineMessageId
+            ? { inline_message_id: details.inlineMessageId }
+            : { chat_id: details.chatId, message_id: details.messageId };
+
+        if (RESUMABLE_JOBS[type] && (session || type === 'inline')) {
+            bot.editMessageText(`${EMOJI.CLOCK} ${fmt.bold(t('restart.resuming'))}`, {
+                ...target,
+                parse_mode: 'HTML',
+                reply_markup: session ? buildCancelKeyboard(details.sessionId, t) : undefined
+            }).catch(() => {});
+            RESUMABLE_JOBS[type](details);
+            resumed.add(details.sessionId);
+        } else {
+            if (session) activeDownloads.delete(details.sessionId);
+            notifyInterrupted(target, t);
+        }
+    }
+
+    for (const [sessionId, session] of activeDownloads.entries()) {
+        if (resumed.has(sessionId)) continue;
+        if (session.oversizedFile) {
+            activeDownloads.delete(sessionId);
+            if (session.chatId) {
+                notifyInterrupted({ chat_id: session.chatId, message_id: session.progressMessageId }, i18n.translator(session.lang));
+            }
+        } else if (session.jobQueued) {
+            session.jobQueued = false; // Never reached the queue (e.g. stopped while sizing): let the user pick again
+            activeDownloads.markChanged(sessionId);
+        }
+    }
+
+    if (records.length) logger.info('Picked up unfinished jobs from the last run', { jobs: records.length });
+}
+
+// Clear out the last run's files first, so resumed jobs start from clean folders
+sweepDownloadFolder().then(recoverJobs);
+
+/* ====================== */
+/* HTTP SERVER & SHUTDOWN */
+/* ====================== */
+
+let shuttingDown = false; // Set once a shutdown signal arrived
+
+/**
+ * HTTP Server
+ * Webhook updates, /healthz and /metrics (only created when there is a port to listen on)
+ */
+const httpServer = HTTP_PORT ? createHttpServer({ logger }) : null;
+const healthChecks = createTtlCache({ ttl: HEALTH_CHECK_TTL });
+
+if (httpServer && WEBHOOK_URL) {
+    // Updates from Telegram; anything without the secret token is refused
+    httpServer.route('POST', new URL(WEBHOOK_URL).pathname, ({ headers, body }) => {
+        if (!secretMatches(headers['x-telegram-bot-api-secret-token'], WEBHOOK_SECRET)) {
+            return { status: 401, body: 'Unauthorized' };
+        }
+        if (shuttingDown) return { status: 503, body: 'Shutting down' }; // Telegram delivers it again later
+
+        let update;
+        try {
+            update = JSON.parse(body);
+        } catch (err) {
+            return { status: 400, body: 'Invalid JSON' };
+        }
+        bot.processUpdate(update);
+        return { status: 200, body: 'OK' };
+    });
+}
+
+if (httpServer) {
+    // Health of the bot for the proxy/orchestrator: 200 when it can take downloads, 503 otherwise
+    httpServer.route('GET', '/healthz', async () => {
+        const version = await healthChecks.getOrLoad('ytdlp', () => ytdlp.getVersion({ timeout: 10000 }))
+            .catch(() => null);
+        const { running, waiting } = downloadQueue.list();
+        let status = version ? 'ok' : 'degraded';
+        if (shuttingDown) status = 'draining';
+
+        return {
+            status: status === 'ok' ? 200 : 503,
+            body: {
+                status,
+                mode: WEBHOOK_URL ? 'webhook' : 'polling',
+                ytDlp: { available: Boolean(version), version },
+                queue: { running: running.length, waiting: waiting.length },
+                uptime: Math.round(process.uptime())
+            }
+        };
+    });
+
+    // Prometheus scrape endpoint (see Metrics)
+    httpServer.route('GET', '/metrics', () => ({
+        body: metrics.render(),
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    }));
+}
+
+/**
+ * Starts receiving updates: the HTTP server first, then the webhook
+ * registration, or polling once a webhook left over from an earlier
+ * webhook run is removed (Telegram refuses getUpdates while one is set)
+ * @returns {Promise<void>} Resolves once the bot is reachable
+ */
+async function startReceiving() {
+    if (httpServer) {
+        await httpServer.listen(HTTP_PORT, HTTP_HOST);
+        logger.info('HTTP server listening', { host: HTTP_HOST, port: HTTP_PORT });
+    }
+    if (WEBHOOK_URL) {
+        await bot.setWebHook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET });
+    } else {
+        // A failure here also shows up as polling errors, so polling starts anyway
+        await bot.deleteWebHook().catch((err) => logger.warn('Could not remove the webhook', { err }));
+        await bot.startPolling();
+    }
+}
+
+/**
+ * Graceful Shutdown
+ * On SIGINT/SIGTERM the bot stops taking updates, lets running jobs finish
+ * (up to SHUTDOWN_TIMEOUT) and exits. Waiting jobs keep their job records and
+ * are picked up by the next run; a second signal exits right away.
+ * @param {string} signal - Signal that was received
+ */
+async function shutdown(signal) {
+    if (shuttingDown) process.exit(1);
+    shuttingDown = true;
+
+    const { running, waiting } = downloadQueue.list();
+    logger.info('Shutting down: finishing running jobs, waiting jobs resume after restart', {
+        signal, running: running.length, waiting: waiting.length
+    });
+
+    // Jobs still running at the deadline are stopped by the exit handler and resumed after restart
+    setTimeout(() => {
+        logger.warn('Shutdown timeout reached, exiting with jobs still running');
+        process.exit(0);
+    }, SHUTDOWN_TIMEOUT).unref();
+
+    if (!WEBHOOK_URL) await bot.stopPolling().catch(() => {}); // Lets the current long poll finish
+    await downloadQueue.drain();
+    if (httpServer) await httpServer.close();
+    process.exit(0);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => shutdown(signal));
+}
+
+startReceiving()
+    .then(() => logger.info('Bot is running and waiting for messages', { mode: WEBHOOK_URL ? 'webhook' : 'polling' }))
+    .catch((err) => {
+        logger.error('Could not start receiving updates', { err });
+        process.exit(1);
+    });
\ No newline at end of file
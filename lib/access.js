@@ -0,0 +1,217 @@
+/**
+ * Access Policy
+ * Decides who may use the bot and how much: allow/block lists of users and
+ * chats, daily download and byte quotas per user, and a per-user request
+ * rate limit. Lists, limits and usage are kept in the persistent store, so
+ * admins can change them at runtime.
+ */
+
+const LIST_NAMES = ['allowUsers', 'allowChats', 'blockUsers', 'blockChats'];
+
+/**
+ * Gets the current UTC day, the unit of the daily quotas
+ * @returns {string} e.g. "2024-05-31"
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the time left until the daily quotas reset (UTC midnight)
+ * @returns {number} Milliseconds
+ */
+function timeUntilReset() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime();
+}
+
+/**
+ * Creates an access policy
+ * @param {object} options - Policy options
+ * @param {object} options.settings - Store collection for lists and limits
+ * @param {object} options.usage - Store collection for per-user daily usage
+ * @param {number[]} options.adminIds - Users that are never limited
+ * @param {object} options.defaults - Limits used until an admin changes them
+ * @param {number} options.defaults.dailyDownloads - Downloads per user per day (0 = unlimited)
+ * @param {number} options.defaults.dailyMB - MB per user per day (0 = unlimited)
+ * @param {number} options.defaults.rateRequests - Requests allowed per window (0 = unlimited)
+ * @param {number} options.defaults.rateWindowMinutes - Rate limit window
+ * @returns {object} Policy API
+ */
+function createAccessPolicy({ settings, usage, adminIds, defaults }) {
+    const requests = new Map(); // userId -> timestamps of recent requests (memory only)
+    let lastSweep = Date.now();
+
+    /**
+     * Forgets users without a request in the current window, so the map only
+     * holds recently active users
+     * @param {number} now - Current time
+     * @param {number} windowMs - Rate limit window
+     */
+    function sweepRequests(now, windowMs) {
+        for (const [userId, times] of requests) {
+            if (now - times[times.length - 1] >= windowMs) requests.delete(userId);
+        }
+        lastSweep = now;
+    }
+
+    /**
+     * Checks whether a user is a bot admin
+     * @param {number} userId - Telegram user ID
+     * @returns {boolean} True for admins
+     */
+    function isAdmin(userId) {
+        return adminIds.includes(Number(userId));
+    }
+
+    /**
+     * Gets the allow/block lists
+     * @returns {object} Arrays of IDs: allowUsers, allowChats, blockUsers, blockChats
+     */
+    function getLists() {
+        const lists = settings.get('lists') || {};
+        return Object.fromEntries(LIST_NAMES.map((name) => [name, lists[name] || []]));
+    }
+
+    /**
+     * Gets the limits in force
+     * @returns {object} dailyDownloads, dailyMB, rateRequests, rateWindowMinutes
+     */
+    function getLimits() {
+        return { ...defaults, ...settings.get('limits') };
+    }
+
+    /**
+     * Gets what a user downloaded today
+     * @param {number} userId - Telegram user ID
+     * @returns {object} { day, downloads, bytes }
+     */
+    function getUsage(userId) {
+        const current = usage.get(String(userId));
+        return current && current.day === today() ? current : { day: today(), downloads: 0, bytes: 0 };
+    }
+
+    return {
+        isAdmin,
+        getLists,
+        getLimits,
+        getUsage,
+
+        /**
+         * Checks the allow/block lists
+         * Once any allowlist has entries, only listed users/chats get through.
+         * @param {object} who - Request origin
+         * @param {number} who.userId - Telegram user ID
+         * @param {number} who.chatId - Chat the request came from
+         * @returns {object} { allowed, reason } with reason "blocked" or "not_allowed"
+         */
+        checkAccess({ userId, chatId }) {
+            if (isAdmin(userId)) return { allowed: true };
+
+            const lists = getLists();
+            const id = Number(userId);
+            const chat = Number(chatId);
+
+            if (lists.blockUsers.includes(id) || lists.blockChats.includes(chat)) {
+                return { allowed: false, reason: 'blocked' };
+            }
+
+            const restricted = lists.allowUsers.length || lists.allowChats.length;
+            if (restricted && !lists.allowUsers.includes(id) && !lists.allowChats.includes(chat)) {
+                return { allowed: false, reason: 'not_allowed' };
+            }
+            return { allowed: true };
+        },
+
+        /**
+         * Counts a request against the user's rate limit
+         * @param {number} userId - Telegram user ID
+         * @returns {object} { allowed, retryAfter } with retryAfter in ms
+         */
+        checkRate(userId) {
+            const { rateRequests, rateWindowMinutes } = getLimits();
+            if (!rateRequests || isAdmin(userId)) return { allowed: true };
+
+            const now = Date.now();
+            const windowMs = rateWindowMinutes * 60 * 1000;
+            if (now - lastSweep >= windowMs) sweepRequests(now, windowMs);
+            const recent = (requests.get(userId) || []).filter((time) => now - time < windowMs);
+
+            if (recent.length >= rateRequests) {
+                requests.set(userId, recent);
+                return { allowed: false, retryAfter: windowMs - (now - recent[0]) };
+            }
+
+            recent.push(now);
+            requests.set(userId, recent);
+            return { allowed: true };
+        },
+
+        /**
+         * Checks whether a user may start another download today
+         * @param {number} userId - Telegram user ID
+         * @returns {object} { allowed, reason, limit, retryAfter } with reason "downloads" or "bytes"
+         */
+        checkQuota(userId) {
+            if (!userId || isAdmin(userId)) return { allowed: true };
+
+            const { dailyDownloads, dailyMB } = getLimits();
+            const used = getUsage(userId);
+
+            if (dailyDownloads && used.downloads >= dailyDownloads) {
+                return { allowed: false, reason: 'downloads', limit: dailyDownloads, retryAfter: timeUntilReset() };
+            }
+            if (dailyMB && used.bytes >= dailyMB * 1024 * 1024) {
+                return { allowed: false, reason: 'bytes', limit: dailyMB, retryAfter: timeUntilReset() };
+            }
+            return { allowed: true };
+        },
+
+        /**
+         * Adds a delivered file to the user's daily usage
+         * @param {number} userId - Telegram user ID
+         * @param {number} bytes - Size of the file
+         */
+        recordDownload(userId, bytes) {
+            if (!userId) return;
+            const current = getUsage(userId);
+            usage.set(String(userId), {
+                day: current.day,
+                downloads: current.downloads + 1,
+                bytes: current.bytes + (bytes || 0)
+            });
+        },
+
+        /**
+         * Adds an ID to a list, or removes it
+         * @param {string} name - allowUsers, allowChats, blockUsers or blockChats
+         * @param {number} id - User or chat ID
+         * @param {boolean} present - Add (true) or remove (false)
+         * @returns {boolean} True if the list changed
+         */
+        updateList(name, id, present) {
+            if (!LIST_NAMES.includes(name)) throw new Error(`Unknown list: ${name}`);
+
+            const lists = getLists();
+            const value = Number(id);
+            const has = lists[name].includes(value);
+            if (has === present) return false;
+
+            lists[name] = present ? [...lists[name], value] : lists[name].filter((entry) => entry !== value);
+            settings.set('lists', lists);
+            return true;
+        },
+
+        /**
+         * Changes one limit
+         * @param {string} name - dailyDownloads, dailyMB, rateRequests or rateWindowMinutes
+         * @param {number} value - New value (0 = unlimited)
+         */
+        setLimit(name, value) {
+            if (!(name in defaults)) throw new Error(`Unknown limit: ${name}`);
+            settings.set('limits', { ...settings.get('limits'), [name]: value });
+        }
+    };
+}
+
+module.exports = { createAccessPolicy };
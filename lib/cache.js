@@ -0,0 +1,94 @@
+/**
+ * TTL Cache
+ * Small in-memory cache with per-entry expiry and a size cap. Concurrent
+ * loads of the same key share one promise, so a link sent by several
+ * users at once is only looked up once.
+ */
+
+/**
+ * Creates a new cache
+ * @param {object} options - Cache options
+ * @param {number} options.ttl - Time to live of an entry in ms
+ * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this count
+ * @returns {object} Cache API (get, set, delete, getOrLoad, clear)
+ */
+function createTtlCache({ ttl, maxEntries = 500 }) {
+    const entries = new Map(); // key -> { value, expiresAt }
+    const pending = new Map(); // key -> Promise of a load in progress
+
+    /**
+     * Gets a value if present and not expired
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined
+     */
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    /**
+     * Stores a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store
+     */
+    function set(key, value) {
+        entries.delete(key); // Re-insert so Map order stays oldest-first
+        entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        // Drop the oldest entries once over the cap
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        get,
+        set,
+
+        /**
+         * Removes a value
+         * @param {string} key - Cache key
+         */
+        delete(key) {
+            entries.delete(key);
+        },
+
+        /**
+         * Returns the cached value or loads (and caches) it
+         * Failed loads are not cached.
+         * @param {string} key - Cache key
+         * @param {Function} loader - Async function producing the value
+         * @returns {Promise<*>} Cached or freshly loaded value
+         */
+        async getOrLoad(key, loader) {
+            const cached = get(key);
+            if (cached !== undefined) return cached;
+            if (pending.has(key)) return pending.get(key);
+
+            const promise = Promise.resolve()
+                .then(loader)
+                .then((value) => {
+                    set(key, value);
+                    return value;
+                })
+                .finally(() => pending.delete(key));
+
+            pending.set(key, promise);
+            return promise;
+        },
+
+        /**
+         * Removes all entries
+         */
+        clear() {
+            entries.clear();
+        }
+    };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,59 @@
+/**
+ * Signed Callback Data
+ * Inline buttons carry "action|sessionId|signature". The signature is an
+ * HMAC of the rest, so a client can't forge button presses for sessions or
+ * actions it was never shown. Telegram allows 64 bytes of callback data,
+ * which leaves room for a truncated signature.
+ */
+const crypto = require('crypto'); // HMAC signatures
+
+const SIGNATURE_LENGTH = 12; // base64url characters (72 bits)
+
+/**
+ * Creates a signer for callback data
+ * @param {string|Buffer} secret - Signing key
+ * @returns {object} Signer API (sign, verify)
+ */
+function createCallbackSigner(secret) {
+    /**
+     * Computes the signature of a payload
+     * @param {string} payload - "action|sessionId"
+     * @returns {string} Truncated base64url HMAC
+     */
+    function signature(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, SIGNATURE_LENGTH);
+    }
+
+    return {
+        /**
+         * Builds the callback data of a button
+         * @param {string} action - Button action
+         * @param {string} sessionId - Session the button belongs to
+         * @returns {string} Signed callback data
+         */
+        sign(action, sessionId) {
+            const payload = `${action}|${sessionId}`;
+            return `${payload}|${signature(payload)}`;
+        },
+
+        /**
+         * Checks and decodes the callback data of a pressed button
+         * @param {string} data - Callback data from Telegram
+         * @returns {object|null} { action, sessionId }, null if forged or malformed
+         */
+        verify(data) {
+            const parts = String(data || '').split('|');
+            if (parts.length !== 3) return null;
+
+            const [action, sessionId, given] = parts;
+            const expected = signature(`${action}|${sessionId}`);
+            if (given.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+                return null;
+            }
+            return { action, sessionId };
+        }
+    };
+}
+
+module.exports = { createCallbackSigner };
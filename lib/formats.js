@@ -0,0 +1,215 @@
+/**
+ * Format Options
+ * Turns the format list from a probe into the choices shown on the
+ * video/audio quality keyboards, with real resolutions, codecs and sizes.
+ */
+
+const MAX_VIDEO_OPTIONS = 6; // Keep the keyboard short
+const MAX_AUDIO_OPTIONS = 4;
+
+/**
+ * Audio output formats (yt-dlp --audio-format values)
+ * Lossy formats list the bitrates we offer and the source codec that can be
+ * kept as is; lossless ones carry a typical bitrate, only used for estimates.
+ */
+const AUDIO_FORMATS = {
+    mp3: { name: 'MP3', bitrates: [128, 192, 256, 320], sourceCodec: 'mp3' },
+    m4a: { name: 'M4A', bitrates: [128, 192, 256], sourceCodec: 'mp4a' },
+    opus: { name: 'Opus', bitrates: [96, 128, 160], sourceCodec: 'opus' },
+    flac: { name: 'FLAC', lossless: true, bitrate: 900 },
+    wav: { name: 'WAV', lossless: true, bitrate: 1536 } // 16-bit stereo PCM at 48kHz
+};
+
+// Options used when the probe didn't report any usable formats (labels are menu.* messages)
+const FALLBACK_VIDEO_OPTIONS = [
+    { selector: 'best[height<=480][ext=mp4]', quality: '480p', labelKey: 'menu.smallerSize', size: null },
+    { selector: 'best[height<=720][ext=mp4]', quality: '720p', labelKey: 'menu.recommended', size: null },
+    { selector: 'bestvideo[ext=mp4]+bestaudio[ext=m4a]/best[ext=mp4]', quality: 'Best Quality', labelKey: 'menu.bestAvailable', size: null }
+];
+const FALLBACK_AUDIO_OPTIONS = [
+    { selector: 'bestaudio/best', format: 'mp3', bitrate: 128, quality: 'MP3 128kbps', labelKey: 'menu.mp3Small', size: null },
+    { selector: 'bestaudio/best', format: 'mp3', bitrate: 192, quality: 'MP3 192kbps', labelKey: 'menu.mp3Balanced', size: null },
+    { selector: 'bestaudio/best', format: 'mp3', bitrate: 320, quality: 'MP3 320kbps', labelKey: 'menu.mp3Best', size: null }
+];
+
+/**
+ * Turns fallback options into menu options in the user's language
+ * @param {object[]} options - FALLBACK_VIDEO_OPTIONS or FALLBACK_AUDIO_OPTIONS
+ * @param {Function} t - Translator
+ * @returns {object[]} Options with label and tooLarge
+ */
+function fallbackOptions(options, t) {
+    return options.map(({ labelKey, ...option }) => ({ ...option, label: t(labelKey, option), tooLarge: false }));
+}
+
+/**
+ * Maps a yt-dlp codec string to a short readable name
+ * @param {string} codec - e.g. "avc1.640028", "vp09.00.40.08", "mp4a.40.2"
+ * @returns {string} Short codec name
+ */
+function codecName(codec) {
+    const value = (codec || '').toLowerCase();
+    if (value.startsWith('avc')) return 'H.264';
+    if (value.startsWith('hev') || value.startsWith('hvc')) return 'H.265';
+    if (value.startsWith('vp9') || value.startsWith('vp09')) return 'VP9';
+    if (value.startsWith('av01')) return 'AV1';
+    if (value.startsWith('mp4a') || value === 'aac') return 'AAC';
+    if (value.startsWith('opus')) return 'Opus';
+    if (value.startsWith('vorbis')) return 'Vorbis';
+    if (value.startsWith('mp3')) return 'MP3';
+    return value.split('.')[0].toUpperCase() || '?';
+}
+
+/**
+ * Gets the known or estimated size of a format
+ * @param {object} format - Normalized format
+ * @param {number} duration - Media duration in seconds
+ * @returns {number|null} Size in bytes
+ */
+function formatSize(format, duration) {
+    if (format.filesize) return format.filesize;
+    if (format.filesizeApprox) return format.filesizeApprox;
+    if (format.tbr && duration) return Math.round(format.tbr * 1000 / 8 * duration);
+    return null;
+}
+
+/**
+ * Formats a size for a button label
+ * @param {number|null} bytes - Size in bytes
+ * @param {Function} t - Translator
+ * @returns {string} e.g. "~12.4MB" or "size unknown"
+ */
+function sizeLabel(bytes, t) {
+    return bytes ? `~${(bytes / (1024 * 1024)).toFixed(1)}MB` : t('menu.sizeUnknown');
+}
+
+/**
+ * Ranks formats so Telegram-friendly ones (MP4/H.264, M4A/AAC) win ties
+ * @param {object} format - Normalized format
+ * @returns {number} Higher is better
+ */
+function compatibilityScore(format) {
+    let score = 0;
+    if (format.ext === 'mp4' || format.ext === 'm4a') score += 2;
+    if (format.vcodec.startsWith('avc') || format.acodec.startsWith('mp4a')) score += 1;
+    return score;
+}
+
+/**
+ * Builds the video quality choices, one per available resolution
+ * @param {object} media - Probe result (formats, duration)
+ * @param {object} options - Limits
+ * @param {number} options.maxFileSize - Upload limit in bytes
+ * @param {boolean} [options.hideOversized] - Drop options over the limit instead of marking them
+ * @param {Function} options.t - Translator for the labels
+ * @returns {object[]} Options with selector, quality, label, size and tooLarge
+ */
+function buildVideoOptions(media, { maxFileSize, hideOversized = false, t }) {
+    const formats = (media.formats || []).filter((f) => f.vcodec !== 'none' && f.height);
+    if (!formats.length) return fallbackOptions(FALLBACK_VIDEO_OPTIONS, t);
+
+    // Best audio stream to merge with video-only formats
+    const audio = (media.formats || [])
+        .filter((f) => f.vcodec === 'none' && f.acodec !== 'none')
+        .sort((a, b) => compatibilityScore(b) - compatibilityScore(a) || (b.abr || 0) - (a.abr || 0))[0];
+
+    // Pick one format per resolution
+    const byHeight = new Map();
+    for (const format of formats) {
+        const current = byHeight.get(format.height);
+        const better = !current ||
+            compatibilityScore(format) > compatibilityScore(current) ||
+            (compatibilityScore(format) === compatibilityScore(current) && (format.tbr || 0) > (current.tbr || 0));
+        if (better) byHeight.set(format.height, format);
+    }
+
+    const options = [...byHeight.values()]
+        .sort((a, b) => b.height - a.height)
+        .map((format) => {
+            const needsAudio = format.acodec === 'none' && audio;
+            const videoSize = formatSize(format, media.duration);
+            const audioSize = needsAudio ? formatSize(audio, media.duration) : 0;
+            const size = videoSize && audioSize !== null ? videoSize + audioSize : null;
+            const fps = format.fps && format.fps > 30 ? format.fps : '';
+            const quality = `${format.height}p${fps}`;
+            const tooLarge = Boolean(size && size > maxFileSize);
+
+            return {
+                selector: needsAudio ? `${format.id}+${audio.id}` : format.id,
+                formatIds: needsAudio ? [format.id, audio.id] : [format.id],
+                quality,
+                label: `${tooLarge ? '⚠️ ' : ''}${quality} ${codecName(format.vcodec)} · ${sizeLabel(size, t)}`,
+                size,
+                tooLarge
+            };
+        })
+        .filter((option) => !(hideOversized && option.tooLarge));
+
+    return options.slice(0, MAX_VIDEO_OPTIONS);
+}
+
+/**
+ * Builds the audio quality choices for one output format
+ * Lossy formats get one option per bitrate, or a single "original" option
+ * when the best source stream already has that codec (yt-dlp then copies it
+ * instead of re-encoding). Lossless formats get a single option.
+ * @param {object} media - Probe result (formats, duration)
+ * @param {object} options - Limits and output format
+ * @param {number} options.maxFileSize - Upload limit in bytes
+ * @param {boolean} [options.hideOversized] - Drop options over the limit instead of marking them
+ * @param {string} [options.format] - Output format, a key of AUDIO_FORMATS
+ * @param {Function} options.t - Translator for the labels
+ * @returns {object[]} Options with selector, format, bitrate, quality, label, size and tooLarge
+ */
+function buildAudioOptions(media, { maxFileSize, hideOversized = false, format = 'mp3', t }) {
+    const output = AUDIO_FORMATS[format] || AUDIO_FORMATS.mp3;
+    const sources = (media.formats || []).filter((f) => f.acodec !== 'none' && f.vcodec === 'none');
+
+    if (!sources.length) {
+        if (format === 'mp3') return fallbackOptions(FALLBACK_AUDIO_OPTIONS, t);
+        // Let yt-dlp pick its default quality for that format
+        return [{ selector: 'bestaudio/best', format, bitrate: null, quality: output.name, label: output.name, size: null, tooLarge: false }];
+    }
+
+    const best = sources.reduce((a, b) => ((b.abr || b.tbr || 0) > (a.abr || a.tbr || 0) ? b : a));
+    const sourceBitrate = best.abr || best.tbr || 0;
+    const source = sourceBitrate ? `${codecName(best.acodec)} ${Math.round(sourceBitrate)}k` : codecName(best.acodec);
+    const estimate = (bitrate) => (media.duration ? Math.round(bitrate * 1000 / 8 * media.duration) : null);
+
+    let choices;
+    if (output.lossless) {
+        choices = [{ bitrate: null, quality: output.name, text: t('menu.lossless', { name: output.name, source }), size: estimate(output.bitrate) }];
+    } else if (output.sourceCodec && best.acodec.startsWith(output.sourceCodec)) {
+        choices = [{ bitrate: null, quality: `${output.name} original`, text: t('menu.original', { name: output.name, source }), size: formatSize(best, media.duration) }];
+    } else {
+        // Don't offer bitrates far above what the source actually has
+        choices = output.bitrates
+            .filter((bitrate, index) => index === 0 || !sourceBitrate || output.bitrates[index - 1] < sourceBitrate)
+            .map((bitrate) => ({
+                bitrate,
+                quality: `${output.name} ${bitrate}kbps`,
+                text: `${output.name} ${bitrate}kbps (${source})`,
+                size: estimate(bitrate)
+            }));
+    }
+
+    const options = choices
+        .map(({ bitrate, quality, text, size }) => {
+            const tooLarge = Boolean(size && size > maxFileSize);
+            return {
+                selector: best.id,
+                formatIds: [best.id],
+                format,
+                bitrate,
+                quality,
+                label: `${tooLarge ? '⚠️ ' : ''}${text} · ${sizeLabel(size, t)}`,
+                size,
+                tooLarge
+            };
+        })
+        .filter((option) => !(hideOversized && option.tooLarge));
+
+    return options.slice(0, MAX_AUDIO_OPTIONS);
+}
+
+module.exports = { AUDIO_FORMATS, buildVideoOptions, buildAudioOptions, codecName, formatSize };
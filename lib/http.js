@@ -0,0 +1,86 @@
+/**
+ * HTTP Helpers
+ * Small in-process requests used around downloads (no curl, no shell).
+ * Only headers are read: response bodies are discarded right away.
+ */
+const http = require('http'); // Plain HTTP requests
+const https = require('https'); // HTTPS requests
+
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; media-downloader-bot)';
+
+/**
+ * Sends one request and resolves with the response headers
+ * Redirects are followed; the body is never read.
+ * @param {string} url - Absolute http(s) URL
+ * @param {object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {object} [options.headers] - Extra request headers
+ * @param {number} options.timeout - Give up after this many ms
+ * @param {number} [redirects] - Redirects already followed
+ * @returns {Promise<object>} Resolves with { status, headers }
+ */
+function requestHeaders(url, { method, headers = {}, timeout }, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (e) {
+            return reject(new Error(`Invalid URL: ${url}`));
+        }
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+            return reject(new Error(`Unsupported protocol: ${target.protocol}`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method,
+            headers: { 'User-Agent': USER_AGENT, ...headers },
+            timeout
+        }, (response) => {
+            const { statusCode: status, headers: responseHeaders } = response;
+            response.destroy(); // Headers are all we need
+
+            if (status >= 300 && status < 400 && responseHeaders.location) {
+                if (redirects >= MAX_REDIRECTS) return reject(new Error('Too many redirects'));
+                const next = new URL(responseHeaders.location, target).toString();
+                return resolve(requestHeaders(next, { method, headers, timeout }, redirects + 1));
+            }
+            resolve({ status, headers: responseHeaders });
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+/**
+ * Reads the size of a remote file without downloading it
+ * Asks with HEAD first; servers that refuse HEAD or leave out the length
+ * get a one-byte range request, whose Content-Range carries the full size.
+ * @param {string} url - Direct file URL
+ * @param {object} [options] - Request options
+ * @param {number} [options.timeout] - Time limit per request in ms
+ * @returns {Promise<number|null>} Size in bytes, null if the server doesn't say
+ */
+async function getContentLength(url, { timeout = 15000 } = {}) {
+    const head = await requestHeaders(url, { method: 'HEAD', timeout }).catch(() => null);
+    const length = head && head.status < 300 ? parseInt(head.headers['content-length'], 10) : NaN;
+    if (length > 0) return length;
+
+    const range = await requestHeaders(url, { method: 'GET', headers: { Range: 'bytes=0-0' }, timeout });
+    if (range.status === 206) {
+        // e.g. "bytes 0-0/123456" ("*" when the total is unknown)
+        const total = parseInt(String(range.headers['content-range'] || '').split('/')[1], 10);
+        return total > 0 ? total : null;
+    }
+    if (range.status < 300) {
+        // Range ignored: the length is the whole file
+        const total = parseInt(range.headers['content-length'], 10);
+        return total > 0 ? total : null;
+    }
+    return null;
+}
+
+module.exports = { getContentLength };
@@ -0,0 +1,110 @@
+/**
+ * Translations
+ * Loads the message catalogs in locales/ (one JSON file per language, named
+ * by its language code) and looks messages up by dotted key, filling in
+ * {placeholders}. Plural messages are objects keyed by Intl.PluralRules
+ * category (zero, one, two, few, many, other) and are picked by {count}.
+ * Missing messages fall back to the default language, then to the key.
+ */
+const fs = require('fs'); // File system operations
+const path = require('path'); // Path manipulation
+
+/**
+ * Flattens a nested catalog into dotted keys
+ * Plural objects (only plural categories as keys) are kept as one message.
+ * @param {object} tree - Parsed catalog
+ * @param {string} [prefix] - Key of the parent object
+ * @returns {object} Map of "a.b.c" keys to strings or plural objects
+ */
+function flatten(tree, prefix = '') {
+    const messages = {};
+    for (const [name, value] of Object.entries(tree)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (typeof value === 'object' && !isPlural(value)) {
+            Object.assign(messages, flatten(value, key));
+        } else {
+            messages[key] = value;
+        }
+    }
+    return messages;
+}
+
+/**
+ * Checks whether a catalog object holds the forms of a plural message
+ * @param {object} value - Catalog object
+ * @returns {boolean} True if every key is a plural category
+ */
+function isPlural(value) {
+    const categories = ['zero', 'one', 'two', 'few', 'many', 'other'];
+    return 'other' in value && Object.keys(value).every((name) => categories.includes(name));
+}
+
+/**
+ * Creates the translator
+ * @param {object} options - Translation options
+ * @param {string} options.dir - Folder with the <language>.json catalogs
+ * @param {string} [options.defaultLanguage] - Used for unknown languages and missing messages
+ * @returns {object} i18n API (languages, resolve, translate, translator)
+ */
+function createI18n({ dir, defaultLanguage = 'en' }) {
+    const catalogs = {}; // language -> flattened messages
+    const pluralRules = {}; // language -> Intl.PluralRules
+
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort()) {
+        const language = path.basename(file, '.json');
+        catalogs[language] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        pluralRules[language] = new Intl.PluralRules(language);
+    }
+    if (!catalogs[defaultLanguage]) throw new Error(`No catalog for the default language "${defaultLanguage}"`);
+
+    /**
+     * Finds a supported language for a Telegram language_code
+     * @param {string} [code] - e.g. "am", "ar-SA", "en-US"
+     * @returns {string} Supported language (the default if there is none)
+     */
+    function resolve(code) {
+        const language = String(code || '').toLowerCase().split(/[-_]/)[0];
+        return catalogs[language] ? language : defaultLanguage;
+    }
+
+    /**
+     * Looks up a message and fills in its placeholders
+     * @param {string} language - Supported language
+     * @param {string} key - Dotted message key
+     * @param {object} [params] - Placeholder values ({count} also picks the plural form)
+     * @returns {string} Translated message
+     */
+    function translate(language, key, params = {}) {
+        const lang = catalogs[language] && key in catalogs[language] ? language : defaultLanguage;
+        let message = catalogs[lang][key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const category = pluralRules[lang].select(Number(params.count) || 0);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (params[name] !== undefined ? String(params[name]) : placeholder));
+    }
+
+    return {
+        languages: Object.keys(catalogs),
+        resolve,
+        translate,
+
+        /**
+         * Binds the translator to one language
+         * @param {string} language - Supported language (unknown ones fall back to the default)
+         * @returns {Function} t(key, params)
+         */
+        translator(language) {
+            const lang = resolve(language);
+            const t = (key, params) => translate(lang, key, params);
+            t.language = lang;
+            return t;
+        }
+    };
+}
+
+module.exports = { createI18n };
@@ -0,0 +1,87 @@
+/**
+ * Logger
+ * Structured logs: one JSON object per line with the time, level, message
+ * and context fields (session, chat, platform, phase...), ready for a log
+ * collector. The text format prints the same entries as readable lines for
+ * development. child() binds context once, so every line of a job carries it.
+ */
+
+// Levels in increasing severity
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Turns an error into plain fields (Error properties are not enumerable)
+ * @param {Error|*} err - Error or any thrown value
+ * @returns {object} { message, code, exitCode, stack }
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) return { message: String(err) };
+    return {
+        message: err.message,
+        ...(err.code ? { code: err.code } : {}),
+        ...(err.exitCode ? { exitCode: err.exitCode } : {}),
+        stack: err.stack
+    };
+}
+
+/**
+ * Formats a value of the text format (quoted when it has spaces)
+ * @param {*} value - Field value
+ * @returns {string} Printable value
+ */
+function formatValue(value) {
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /\s|"/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Creates a logger
+ * @param {object} [options] - Logger options
+ * @param {string} [options.level] - Lowest level written ("debug", "info", "warn", "error")
+ * @param {string} [options.format] - "json" (one object per line) or "text"
+ * @param {object} [options.fields] - Context added to every entry
+ * @returns {object} Logger API (debug, info, warn, error, child)
+ */
+function createLogger({ level = 'info', format = 'json', fields = {} } = {}) {
+    const minLevel = LEVELS[level] || LEVELS.info;
+
+    /**
+     * Writes one entry (warnings and errors go to stderr)
+     * @param {string} entryLevel - Level of the entry
+     * @param {string} message - What happened
+     * @param {object} [extra] - Context of this entry; an `err` field is serialized
+     */
+    function write(entryLevel, message, extra = {}) {
+        if (LEVELS[entryLevel] < minLevel) return;
+        const { err, ...rest } = extra;
+        const time = new Date().toISOString();
+        const context = { ...fields, ...rest };
+        const error = err !== undefined ? serializeError(err) : null;
+
+        const line = format === 'text'
+            ? `${time} ${entryLevel.toUpperCase()} ${message}` +
+                Object.entries(context).filter(([, value]) => value !== undefined && value !== null)
+                    .map(([key, value]) => ` ${key}=${formatValue(value)}`).join('') +
+                (error ? `: ${error.stack || error.message}` : '')
+            : JSON.stringify({ time, level: entryLevel, msg: message, ...context, ...(error ? { err: error } : {}) });
+        (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    return {
+        debug: (message, extra) => write('debug', message, extra),
+        info: (message, extra) => write('info', message, extra),
+        warn: (message, extra) => write('warn', message, extra),
+        error: (message, extra) => write('error', message, extra),
+
+        /**
+         * Creates a logger that adds more context to every entry
+         * @param {object} childFields - Context (e.g. { sessionId, chatId, platform })
+         * @returns {object} Logger API
+         */
+        child(childFields) {
+            return createLogger({ level, format, fields: { ...fields, ...childFields } });
+        }
+    };
+}
+
+module.exports = { createLogger };
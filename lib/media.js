@@ -0,0 +1,202 @@
+/**
+ * Media Post-Processing
+ * ffmpeg helpers for files that came out larger than Telegram accepts.
+ * Uses the ffmpeg binary bundled by ffmpeg-static (FFMPEG_BIN overrides it).
+ */
+const fs = require('fs'); // File system operations
+const path = require('path'); // Path manipulation
+const ffmpeg = require('fluent-ffmpeg'); // ffmpeg command builder
+const ffmpegPath = require('ffmpeg-static'); // Path of the bundled ffmpeg binary
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const SPLIT_ATTEMPTS = 3; // Retries with shorter segments when a part is still too big
+const CONTAINER_OVERHEAD = 0.95; // Share of the target size left for the actual streams
+const MIN_VIDEO_BITRATE = 100; // kbps, below this the result isn't watchable
+const MIN_AUDIO_BITRATE = 32; // kbps
+
+/**
+ * Runs a fluent-ffmpeg command to completion
+ * @param {object} command - fluent-ffmpeg command with output set
+ * @param {AbortSignal} [signal] - Kills ffmpeg when aborted
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ * @throws {Error} With `canceled` set when stopped through the signal
+ */
+function runFfmpeg(command, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(Object.assign(new Error('Canceled'), { canceled: true }));
+        }
+
+        let canceled = false;
+        const onAbort = () => {
+            canceled = true;
+            command.kill('SIGKILL');
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const finish = (err) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (canceled) reject(Object.assign(new Error('Canceled'), { canceled: true }));
+            else if (err) reject(err);
+            else resolve();
+        };
+
+        command
+            .on('end', () => finish())
+            .on('error', (err) => finish(err))
+            .run();
+    });
+}
+
+/**
+ * Lists the part files produced for a split, in order
+ * @param {string} dir - Folder the parts were written to
+ * @param {string} prefix - Filename prefix shared by all parts
+ * @param {string} ext - File extension (with dot)
+ * @returns {Promise<string[]>} Sorted part paths
+ */
+async function listParts(dir, prefix, ext) {
+    const files = await fs.promises.readdir(dir);
+    return files
+        .filter((file) => file.startsWith(prefix) && file.endsWith(ext))
+        .sort()
+        .map((file) => path.join(dir, file));
+}
+
+/**
+ * Splits a media file into numbered parts below a size limit
+ * Cuts by duration and copies the streams (no re-encoding), so cuts land on
+ * keyframes and parts vary a bit in size; if one is still too big we retry
+ * with shorter segments.
+ * @param {string} filePath - File to split
+ * @param {object} options - Split options
+ * @param {number} options.maxBytes - Size limit per part
+ * @param {number} options.duration - Media duration in seconds
+ * @param {AbortSignal} [options.signal] - Stops ffmpeg (the parts written so far are deleted)
+ * @returns {Promise<string[]>} Paths of the parts, in playback order
+ * @throws {Error} If the duration is unknown or the parts stay too large
+ */
+async function splitMedia(filePath, { maxBytes, duration, signal }) {
+    if (!duration) throw new Error('Cannot split: media duration is unknown');
+
+    const { size } = await fs.promises.stat(filePath);
+    const dir = path.dirname(filePath);
+    const ext = path.extname(filePath);
+    const prefix = `${path.basename(filePath, ext)}.part`;
+
+    let ratio = 0.9; // Aim below the limit to leave room for keyframe drift
+    for (let attempt = 0; attempt < SPLIT_ATTEMPTS; attempt++) {
+        const segmentTime = Math.max(1, Math.floor(duration * (maxBytes * ratio) / size));
+
+        try {
+            await runFfmpeg(
+                ffmpeg(filePath)
+                    .outputOptions([
+                        '-map 0:v?',
+                        '-map 0:a?',
+                        '-c copy',
+                        '-f segment',
+                        `-segment_time ${segmentTime}`,
+                        '-reset_timestamps 1'
+                    ])
+                    .output(path.join(dir, `${prefix}%03d${ext}`)),
+                signal
+            );
+        } catch (err) {
+            const written = await listParts(dir, prefix, ext);
+            await Promise.all(written.map((part) => fs.promises.unlink(part).catch(() => {})));
+            throw err;
+        }
+
+        const parts = await listParts(dir, prefix, ext);
+        const sizes = await Promise.all(parts.map(async (part) => (await fs.promises.stat(part)).size));
+        if (parts.length && sizes.every((partSize) => partSize <= maxBytes)) {
+            return parts;
+        }
+
+        // Some part is still too big, throw them away and use shorter segments
+        await Promise.all(parts.map((part) => fs.promises.unlink(part).catch(() => {})));
+        ratio *= 0.7;
+    }
+
+    throw new Error('Could not split the file into parts under the size limit');
+}
+
+/**
+ * Converts an ffmpeg timemark ("HH:MM:SS.xx") to seconds
+ * @param {string} timemark - Timemark from a fluent-ffmpeg progress event
+ * @returns {number} Seconds
+ */
+function timemarkToSeconds(timemark) {
+    return String(timemark || '0').split(':').reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+}
+
+/**
+ * Re-encodes a media file so it fits under a size limit
+ * The bitrate is derived from the target size and the duration, so the
+ * output lands just below the limit.
+ * @param {string} filePath - File to compress
+ * @param {object} options - Compression options
+ * @param {number} options.targetBytes - Maximum size of the result
+ * @param {number} options.duration - Media duration in seconds
+ * @param {boolean} options.isAudio - Audio-only file instead of video (re-encoded to MP3)
+ * @param {Function} [options.onProgress] - Called with the completion percentage
+ * @param {AbortSignal} [options.signal] - Stops ffmpeg (the partial output is deleted)
+ * @returns {Promise<string>} Path of the compressed file
+ * @throws {Error} If the duration is unknown or the needed bitrate is too low
+ */
+async function compressToFit(filePath, { targetBytes, duration, isAudio, onProgress, signal }) {
+    if (!duration) throw new Error('Cannot compress: media duration is unknown');
+
+    const ext = path.extname(filePath);
+    // Lossless sources can't be made smaller in their own format, so audio always becomes MP3
+    const output = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.compressed${isAudio ? '.mp3' : ext}`);
+
+    // Total bitrate (kbps) that fits the target size over the whole duration
+    const totalBitrate = Math.floor(targetBytes * 8 * CONTAINER_OVERHEAD / duration / 1000);
+
+    let command;
+    if (isAudio) {
+        const audioBitrate = Math.min(totalBitrate, 320);
+        if (audioBitrate < MIN_AUDIO_BITRATE) throw new Error('Too long to fit the size limit, even compressed');
+
+        command = ffmpeg(filePath)
+            .noVideo()
+            .audioCodec('libmp3lame')
+            .audioBitrate(audioBitrate);
+    } else {
+        const audioBitrate = totalBitrate > 1000 ? 128 : 64;
+        const videoBitrate = totalBitrate - audioBitrate;
+        if (videoBitrate < MIN_VIDEO_BITRATE) throw new Error('Too long to fit the size limit, even compressed');
+
+        command = ffmpeg(filePath)
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .audioBitrate(audioBitrate)
+            .outputOptions([
+                '-preset veryfast',
+                `-b:v ${videoBitrate}k`,
+                `-maxrate ${videoBitrate}k`, // Cap peaks so the size stays predictable
+                `-bufsize ${videoBitrate * 2}k`,
+                '-movflags +faststart' // Lets Telegram start playback before the whole file loads
+            ]);
+    }
+
+    if (onProgress) {
+        command.on('progress', (progress) => {
+            const percent = Math.round(timemarkToSeconds(progress.timemark) / duration * 100);
+            onProgress(Math.max(0, Math.min(percent, 100)));
+        });
+    }
+
+    try {
+        await runFfmpeg(command.output(output), signal);
+    } catch (err) {
+        await fs.promises.unlink(output).catch(() => {});
+        throw err;
+    }
+    return output;
+}
+
+module.exports = { splitMedia, compressToFit };
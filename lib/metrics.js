@@ -0,0 +1,140 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text format for /metrics. Small on purpose: labels are plain
+ * objects and every metric is registered once at startup.
+ */
+
+// Default histogram buckets in seconds (from quick lookups to long downloads)
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+/**
+ * Escapes a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a label set as {a="1",b="2"}
+ * @param {object} labels - Label names and values
+ * @returns {string} Label part of a sample line ('' without labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Creates a metrics registry
+ * @param {object} [options] - Registry options
+ * @param {string} [options.prefix] - Prepended to every metric name
+ * @returns {object} Registry API (counter, gauge, histogram, render)
+ */
+function createMetrics({ prefix = '' } = {}) {
+    const metrics = []; // Render order = registration order
+
+    /**
+     * Keeps one value per label set
+     * @param {string[]} labelNames - Allowed label names
+     * @returns {object} { series, keyOf } (series: key -> { labels, value })
+     */
+    function createSeries(labelNames) {
+        const series = new Map();
+        const keyOf = (labels = {}) => {
+            const picked = Object.fromEntries(labelNames.map((name) => [name, labels[name] === undefined ? '' : labels[name]]));
+            return { key: JSON.stringify(picked), labels: picked };
+        };
+        return { series, keyOf };
+    }
+
+    return {
+        /**
+         * Registers a counter (only goes up)
+         * @param {string} name - Metric name (without prefix)
+         * @param {string} help - Description
+         * @param {string[]} [labelNames] - Label names
+         * @returns {object} { inc(labels, amount) }
+         */
+        counter(name, help, labelNames = []) {
+            const { series, keyOf } = createSeries(labelNames);
+            metrics.push({
+                name: prefix + name, help, type: 'counter',
+                samples: () => [...series.values()].map(({ labels, value }) => ({ labels, value }))
+            });
+            return {
+                inc(labels, amount = 1) {
+                    const { key, labels: picked } = keyOf(labels);
+                    const entry = series.get(key) || { labels: picked, value: 0 };
+                    entry.value += amount;
+                    series.set(key, entry);
+                }
+            };
+        },
+
+        /**
+         * Registers a gauge read when metrics are rendered
+         * @param {string} name - Metric name (without prefix)
+         * @param {string} help - Description
+         * @param {Function} collect - () => number, or [{ labels, value }] for labelled values
+         */
+        gauge(name, help, collect) {
+            metrics.push({
+                name: prefix + name, help, type: 'gauge',
+                samples: () => {
+                    const value = collect();
+                    return Array.isArray(value) ? value : [{ labels: {}, value }];
+                }
+            });
+        },
+
+        /**
+         * Registers a histogram
+         * @param {string} name - Metric name (without prefix), in seconds by convention
+         * @param {string} help - Description
+         * @param {string[]} [labelNames] - Label names
+         * @param {number[]} [buckets] - Upper bounds, ascending
+         * @returns {object} { observe(labels, value) }
+         */
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const { series, keyOf } = createSeries(labelNames);
+            metrics.push({
+                name: prefix + name, help, type: 'histogram',
+                samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, i) => ({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[i] })),
+                    { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+                    { suffix: '_sum', labels, value: sum },
+                    { suffix: '_count', labels, value: count }
+                ])
+            });
+            return {
+                observe(labels, value) {
+                    const { key, labels: picked } = keyOf(labels);
+                    const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) entry.counts[i]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                    series.set(key, entry);
+                }
+            };
+        },
+
+        /**
+         * Renders every metric in the Prometheus text format (version 0.0.4)
+         * @returns {string} Exposition text
+         */
+        render() {
+            return metrics.map(({ name, help, type, samples }) => [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} ${type}`,
+                ...samples().map(({ suffix = '', labels, value }) => `${name}${suffix}${formatLabels(labels)} ${value}`)
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { createMetrics };
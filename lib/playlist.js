@@ -0,0 +1,47 @@
+/**
+ * Playlist Helpers
+ * Parsing and formatting of playlist item selections such as "1-5, 8".
+ */
+
+/**
+ * Parses a user-typed selection of playlist items
+ * Accepts single numbers and ranges separated by commas or spaces,
+ * e.g. "1-5, 8 10-12". Items are 1-based.
+ * @param {string} text - Selection typed by the user
+ * @param {number} total - Number of entries in the playlist
+ * @returns {number[]|null} Sorted unique item numbers, null if invalid
+ */
+function parseSelection(text, total) {
+    const parts = String(text).split(/[\s,]+/).filter(Boolean);
+    if (!parts.length) return null;
+
+    const items = new Set();
+    for (const part of parts) {
+        const match = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) return null;
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? parseInt(match[2], 10) : start;
+        if (start < 1 || end < start || end > total) return null;
+
+        for (let item = start; item <= end; item++) items.add(item);
+    }
+    return [...items].sort((a, b) => a - b);
+}
+
+/**
+ * Formats item numbers back into compact ranges
+ * @param {number[]} items - Sorted item numbers
+ * @returns {string} e.g. "1-5, 8"
+ */
+function formatSelection(items) {
+    const ranges = [];
+    for (const item of items) {
+        const last = ranges[ranges.length - 1];
+        if (last && item === last[1] + 1) last[1] = item;
+        else ranges.push([item, item]);
+    }
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+module.exports = { parseSelection, formatSelection };
@@ -0,0 +1,61 @@
+/**
+ * User Preferences
+ * What a user usually wants from a link (video or audio, which quality,
+ * sent as media or as a file) and whether the menus should be skipped.
+ * Kept in the persistent store, keyed by user ID; unset fields fall back to
+ * the defaults so new options don't need a migration.
+ */
+
+// Choices offered in /settings
+const VIDEO_HEIGHTS = [1080, 720, 480, 360];
+const AUDIO_BITRATES = [128, 192, 320];
+
+// Allowed values of every preference
+const CHOICES = {
+    mode: ['video', 'audio'],
+    videoHeight: VIDEO_HEIGHTS,
+    audioBitrate: AUDIO_BITRATES,
+    sendAs: ['media', 'document'],
+    auto: [true, false]
+};
+
+/**
+ * Creates the preferences store
+ * @param {object} collection - Store collection, keyed by user ID
+ * @param {object} defaults - Preferences of users who never changed them
+ * @param {string} defaults.mode - "video" or "audio"
+ * @param {number} defaults.videoHeight - Best video height to pick
+ * @param {number} defaults.audioBitrate - MP3 bitrate to pick
+ * @param {string} defaults.sendAs - "media" (playable) or "document" (original file)
+ * @param {boolean} defaults.auto - Download right away instead of showing the menus
+ * @returns {object} Preferences API (get, update)
+ */
+function createPreferences(collection, defaults) {
+    /**
+     * Gets the preferences of a user
+     * @param {number} userId - Telegram user ID
+     * @returns {object} Complete preferences (defaults filled in)
+     */
+    function get(userId) {
+        return { ...defaults, ...(userId ? collection.get(String(userId)) : null) };
+    }
+
+    return {
+        get,
+
+        /**
+         * Changes one preference of a user
+         * @param {number} userId - Telegram user ID
+         * @param {string} name - Preference name (see CHOICES)
+         * @param {*} value - New value
+         * @returns {object|null} Updated preferences, null for unknown names or values
+         */
+        update(userId, name, value) {
+            if (!CHOICES[name] || !CHOICES[name].includes(value)) return null;
+            collection.set(String(userId), { ...collection.get(String(userId)), [name]: value });
+            return get(userId);
+        }
+    };
+}
+
+module.exports = { createPreferences, VIDEO_HEIGHTS, AUDIO_BITRATES };
@@ -0,0 +1,130 @@
+/**
+ * Media Probe
+ * Runs yt-dlp once per URL and keeps everything the bot needs from that
+ * single run (title, filename, formats, sizes, thumbnail), cached by URL.
+ */
+const { createTtlCache } = require('./cache'); // URL-keyed result cache
+
+/**
+ * Picks the fields we use from one yt-dlp format entry
+ * @param {object} format - Entry of info.formats
+ * @returns {object} Normalized format
+ */
+function normalizeFormat(format) {
+    return {
+        id: format.format_id,
+        ext: format.ext,
+        vcodec: format.vcodec || 'none',
+        acodec: format.acodec || 'none',
+        width: format.width || null,
+        height: format.height || null,
+        fps: format.fps || null,
+        abr: format.abr || null, // Audio bitrate in kbps
+        tbr: format.tbr || null, // Total bitrate in kbps
+        filesize: format.filesize || null, // Exact size when the site reports it
+        filesizeApprox: format.filesize_approx || null, // yt-dlp's own estimate
+        protocol: format.protocol || null,
+        url: format.url || null
+    };
+}
+
+/**
+ * Reduces a --dump-json result to the metadata the bot uses
+ * @param {object} info - Parsed yt-dlp JSON
+ * @returns {object} Normalized media info (isPlaylist and entries for playlists)
+ */
+function normalizeInfo(info) {
+    // Playlists, channels and carousels: keep the list of entries
+    if (info._type === 'playlist' || Array.isArray(info.entries)) {
+        return {
+            id: info.id,
+            isPlaylist: true,
+            title: info.title || null,
+            platform: info.extractor || 'Unknown',
+            webpageUrl: info.webpage_url || null,
+            thumbnail: info.thumbnail || null,
+            uploader: info.uploader || info.channel || null,
+            // Position is 1-based, as used by yt-dlp's --playlist-items; it is taken
+            // before unavailable (null) entries are dropped, so later ones keep theirs
+            entries: (info.entries || []).map((entry, index) => entry && ({
+                index: index + 1,
+                id: entry.id || null,
+                url: entry.url || entry.webpage_url || null, // Link of the entry itself (search results)
+                title: entry.title || null,
+                duration: entry.duration || 0,
+                uploader: entry.uploader || entry.channel || null,
+                thumbnail: entry.thumbnail || (entry.thumbnails && entry.thumbnails.length
+                    ? entry.thumbnails[entry.thumbnails.length - 1].url
+                    : null)
+            })).filter(Boolean)
+        };
+    }
+
+    // Sites with a single stream report it at the top level instead of in "formats"
+    const formats = Array.isArray(info.formats) && info.formats.length
+        ? info.formats
+        : [info];
+
+    return {
+        id: info.id,
+        title: info.title || null,
+        filename: info.title ? `${info.title}.${info.ext || 'mp4'}` : null,
+        platform: info.extractor || 'Unknown', // Video source platform
+        webpageUrl: info.webpage_url || null,
+        duration: info.duration || 0, // Duration in seconds
+        thumbnail: info.thumbnail || null, // Video thumbnail URL
+        ext: info.ext || 'mp4',
+        uploader: info.uploader || info.channel || null,
+        // Music metadata, when the site has it (used for audio tags)
+        artist: info.artist || info.creator || null,
+        track: info.track || null,
+        album: info.album || null,
+        formats: formats.filter((format) => format.format_id).map(normalizeFormat)
+    };
+}
+
+/**
+ * Creates a caching prober
+ * @param {object} options - Prober options
+ * @param {object} options.ytdlp - yt-dlp adapter (see createYtDlp)
+ * @param {number} options.ttl - How long a probe result stays valid in ms
+ * @param {Function} [options.onProbe] - Called after every yt-dlp lookup (not cache hits)
+ *     with { url, seconds, platform } or { url, seconds, error }
+ * @returns {object} Prober API (probe, invalidate)
+ */
+function createProber({ ytdlp, ttl, onProbe = () => {} }) {
+    const cache = createTtlCache({ ttl });
+
+    return {
+        /**
+         * Gets media info for a URL, from cache when possible
+         * @param {string} url - Media URL
+         * @returns {Promise<object>} Normalized media info
+         */
+        probe(url) {
+            const key = url.trim();
+            return cache.getOrLoad(key, async () => {
+                const started = Date.now();
+                const seconds = () => (Date.now() - started) / 1000;
+                try {
+                    const info = normalizeInfo(await ytdlp.getInfo(key));
+                    onProbe({ url: key, seconds: seconds(), platform: info.platform });
+                    return info;
+                } catch (err) {
+                    onProbe({ url: key, seconds: seconds(), error: err });
+                    throw err;
+                }
+            });
+        },
+
+        /**
+         * Drops a cached result (e.g. after its stream URLs stopped working)
+         * @param {string} url - Media URL
+         */
+        invalidate(url) {
+            cache.delete(url.trim());
+        }
+    };
+}
+
+module.exports = { createProber, normalizeInfo, normalizeFormat };
@@ -0,0 +1,127 @@
+/**
+ * Child Process Helpers
+ * Promise-based wrapper around spawn() that never goes through a shell,
+ * so arguments (URLs, titles, paths) are passed to the program verbatim.
+ * Stopping a run stops the whole process tree (yt-dlp starts ffmpeg).
+ */
+const { spawn } = require('child_process'); // Spawning external programs
+const path = require('path'); // Path manipulation
+const readline = require('readline'); // Splitting output into lines
+
+const IS_WINDOWS = process.platform === 'win32';
+const KILL_GRACE_PERIOD = 5000; // Time to exit after SIGTERM before SIGKILL
+
+/**
+ * Sends a signal to a child and everything it started
+ * On POSIX the child leads its own process group (spawned detached), so the
+ * negative PID reaches the group; Windows uses taskkill /T.
+ * @param {ChildProcess} child - Spawned process
+ * @param {string} signal - e.g. "SIGTERM" or "SIGKILL"
+ */
+function killTree(child, signal) {
+    if (IS_WINDOWS) {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true, stdio: 'ignore' })
+            .on('error', () => child.kill());
+        return;
+    }
+    try {
+        process.kill(-child.pid, signal);
+    } catch (e) {
+        // The group is gone already (ESRCH)
+    }
+}
+
+/**
+ * Runs an external program with an argument array
+ * @param {string} command - Executable name or path
+ * @param {string[]} args - Arguments passed as-is (no shell quoting needed)
+ * @param {object} [options] - Execution options
+ * @param {number} [options.timeout] - Kill the process after this many ms (0 = no limit)
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted
+ * @param {Function} [options.onLine] - Called for every stdout line (output is then not buffered)
+ * @param {number} [options.maxBuffer] - Maximum buffered stdout in bytes
+ * @returns {Promise<object>} Resolves with { stdout, stderr } on exit code 0
+ * @throws {Error} With `timedOut`, `canceled` or `exitCode` set when the run fails
+ */
+function runProcess(command, args, { timeout = 0, signal, onLine, maxBuffer = 10 * 1024 * 1024 } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(Object.assign(new Error('Canceled'), { canceled: true }));
+        }
+
+        const child = spawn(command, args, {
+            windowsHide: true, // Hide terminal window on Windows
+            detached: !IS_WINDOWS, // Own process group, so its children can be stopped with it
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let failure = null; // Reason we killed the process ourselves
+        let timer = null;
+        let forceTimer = null;
+
+        // Stop the process tree and remember why; force it if it doesn't exit in time
+        const kill = (error) => {
+            if (failure) return;
+            failure = error;
+            killTree(child, 'SIGTERM');
+            forceTimer = setTimeout(() => killTree(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+        };
+
+        const onAbort = () => kill(Object.assign(new Error('Canceled'), { canceled: true }));
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                kill(Object.assign(new Error(`Timed out after ${Math.round(timeout / 1000)}s`), { timedOut: true }));
+            }, timeout);
+        }
+
+        if (onLine) {
+            readline.createInterface({ input: child.stdout }).on('line', onLine);
+        } else {
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk;
+                if (stdout.length > maxBuffer) {
+                    kill(new Error('Output exceeded maxBuffer'));
+                }
+            });
+        }
+
+        // Only keep the tail of stderr, that's where the useful error is
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-8192);
+        });
+
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            clearTimeout(forceTimer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(result);
+        };
+
+        child.on('error', (err) => finish(failure || err));
+
+        child.on('close', (code) => {
+            if (failure) {
+                if (!IS_WINDOWS) killTree(child, 'SIGKILL'); // Children that outlived their parent
+                return finish(failure);
+            }
+            if (code !== 0) {
+                // Use the last "ERROR:" line from stderr as the message when there is one
+                const lines = stderr.trim().split('\n').filter(Boolean);
+                const errorLine = lines.reverse().find((line) => line.startsWith('ERROR')) || lines[0];
+                const message = errorLine && errorLine.replace(/^ERROR:\s*/, '');
+                return finish(Object.assign(
+                    new Error(message || `${path.basename(command)} exited with code ${code}`),
+                    { exitCode: code, stderr }
+                ));
+            }
+            finish(null, { stdout, stderr });
+        });
+    });
+}
+
+module.exports = { runProcess };
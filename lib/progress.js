@@ -0,0 +1,163 @@
+/**
+ * Download Progress
+ * Follows yt-dlp's output and keeps one overall state for the progress
+ * message: the percentage across all streams of a merged format (video and
+ * audio are downloaded one after the other), the total size, speed, ETA and
+ * the post-processing step that is running.
+ */
+
+// Post-processor tags in yt-dlp's output and the phase they stand for
+const POSTPROCESSOR_PHASES = {
+    Merger: 'merging',
+    ExtractAudio: 'extractingAudio',
+    EmbedThumbnail: 'embeddingThumbnail',
+    ThumbnailsConvertor: 'embeddingThumbnail',
+    Metadata: 'addingMetadata',
+    VideoRemuxer: 'converting',
+    VideoConvertor: 'converting'
+};
+
+// Size units yt-dlp prints (binary and decimal)
+const UNITS = {
+    B: 1,
+    KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4,
+    KB: 1000, MB: 1000 ** 2, GB: 1000 ** 3, TB: 1000 ** 4
+};
+
+/**
+ * Parses a size such as "10.00MiB" or "512.3KiB"
+ * @param {string} text - Size from yt-dlp's output
+ * @returns {number|null} Bytes, null if not a size
+ */
+function parseSize(text) {
+    const match = /^([\d.]+)\s*([KMGT]?i?B)$/.exec(String(text).trim());
+    return match && UNITS[match[2]] ? parseFloat(match[1]) * UNITS[match[2]] : null;
+}
+
+/**
+ * Parses an ETA such as "00:05" or "01:02:03"
+ * @param {string} text - ETA from yt-dlp's output
+ * @returns {number|null} Seconds, null if unknown
+ */
+function parseEta(text) {
+    if (!/^\d+(:\d+){0,2}$/.test(text || '')) return null;
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Gets the post-processing phase a yt-dlp line starts
+ * @param {string} line - Output line
+ * @returns {string|null} Phase name, null for other lines
+ */
+function postprocessorPhase(line) {
+    const tag = (/^\[(\w+)\]/.exec(line) || [])[1];
+    if (!tag) return null;
+    if (POSTPROCESSOR_PHASES[tag]) return POSTPROCESSOR_PHASES[tag];
+    return tag.startsWith('Fixup') ? 'fixing' : null;
+}
+
+/**
+ * Creates a progress tracker for one download
+ * @param {object} [options] - Tracker options
+ * @param {Array<number|null>} [options.expectedSizes] - Known sizes of the streams
+ *     (their count is the stream count until yt-dlp says otherwise)
+ * @returns {object} Tracker API (update, state)
+ */
+function createProgressTracker({ expectedSizes = [] } = {}) {
+    let streams = Math.max(expectedSizes.length, 1);
+    const totals = []; // Sizes yt-dlp reported per stream
+    let index = 0; // Stream being downloaded
+    let started = false; // Whether the first stream has a destination yet
+    let fraction = 0; // Progress of the current stream (0-1)
+    let speed = null; // Bytes per second
+    let eta = null; // Seconds, as reported for the current stream
+    let percent = 0;
+    let phase = 'download';
+
+    /**
+     * Gets the weight (size) of every stream
+     * Streams without a known size count as the average of the known ones.
+     * @returns {object} { weights, complete } (complete: every size is known)
+     */
+    function streamWeights() {
+        const sizes = Array.from({ length: streams }, (_, i) => totals[i] || expectedSizes[i] || null);
+        const known = sizes.filter(Boolean);
+        const average = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+        return { weights: sizes.map((size) => size || average), complete: known.length === sizes.length };
+    }
+
+    /**
+     * Gets the current state
+     * @returns {object} { phase, percent, totalBytes, downloadedBytes, speed, eta }
+     */
+    function state() {
+        if (phase !== 'download') return { phase, percent: 100, totalBytes: null, downloadedBytes: null, speed: null, eta: null };
+
+        const { weights, complete } = streamWeights();
+        const total = weights.reduce((a, b) => a + b, 0);
+        const done = weights.slice(0, index).reduce((a, b) => a + b, 0) + fraction * (weights[index] || 0);
+        return {
+            phase,
+            percent,
+            totalBytes: complete ? Math.round(total) : null,
+            downloadedBytes: complete ? Math.round(done) : null,
+            speed,
+            // Time for everything left, not just the current stream
+            eta: complete && speed ? Math.round((total - done) / speed) : eta
+        };
+    }
+
+    return {
+        /**
+         * Reads one line of yt-dlp's output
+         * @param {string} line - Output line
+         * @returns {boolean} True if the state changed
+         */
+        update(line) {
+            // "[info] abc: Downloading 1 format(s): 137+140"
+            const formats = /Downloading \d+ format\(s\):\s*(\S+)/.exec(line);
+            if (formats) {
+                streams = Math.max(formats[1].split('+').length, 1);
+                return false;
+            }
+
+            const next = postprocessorPhase(line);
+            if (next) {
+                const changed = next !== phase;
+                phase = next;
+                percent = 100;
+                return changed;
+            }
+
+            if (!line.startsWith('[download]')) return false;
+
+            // Each stream announces where it is written to before it starts
+            if (/^\[download\] Destination:/.test(line)) {
+                if (started) index = Math.min(index + 1, streams - 1);
+                started = true;
+                fraction = 0;
+                return false;
+            }
+
+            const match = /^\[download\]\s+([\d.]+)%/.exec(line);
+            if (!match) return false;
+
+            fraction = Math.min(parseFloat(match[1]) / 100, 1);
+            const total = parseSize((/ of\s+~?\s*([\d.]+\s*[KMGT]?i?B)/.exec(line) || [])[1] || '');
+            if (total) totals[index] = total;
+            speed = parseSize((/ at\s+([\d.]+\s*[KMGT]?i?B)\/s/.exec(line) || [])[1] || '');
+            eta = parseEta((/ ETA\s+(\S+)/.exec(line) || [])[1]);
+
+            const { weights } = streamWeights();
+            const overall = (weights.slice(0, index).reduce((a, b) => a + b, 0) + fraction * weights[index]) /
+                weights.reduce((a, b) => a + b, 0);
+            // Never go backwards (e.g. when the audio stream of a merged format starts)
+            percent = Math.max(percent, Math.min(Math.round(overall * 100), 100));
+            return true;
+        },
+
+        state
+    };
+}
+
+module.exports = { createProgressTracker };
@@ -0,0 +1,172 @@
+/**
+ * Download Queue
+ * Schedules download jobs with a global concurrency cap, a per-user cap
+ * and a FIFO wait list, so a burst of button presses cannot start an
+ * unbounded number of yt-dlp/ffmpeg processes at once.
+ */
+
+/**
+ * Creates a new download queue
+ * @param {object} options - Queue limits
+ * @param {number} options.maxConcurrent - Maximum jobs running at once (all users)
+ * @param {number} options.maxPerUser - Maximum jobs running at once for a single user
+ * @returns {object} Queue API (enqueue, remove, cancel, getPosition, list, drain)
+ */
+function createDownloadQueue({ maxConcurrent, maxPerUser }) {
+    const running = new Map(); // jobId -> job currently executing
+    const waiting = []; // Jobs waiting for a free slot, oldest first
+    const idleWaiters = []; // drain() promises waiting for the running jobs to finish
+    let draining = false; // No new jobs are started once set
+
+    /**
+     * Counts running jobs that belong to a user
+     * @param {number} userId - Telegram user ID
+     * @returns {number} Number of running jobs for that user
+     */
+    function runningFor(userId) {
+        let count = 0;
+        for (const job of running.values()) {
+            if (job.userId === userId) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Tells every waiting job its (1-based) position if it changed
+     */
+    function notifyPositions() {
+        waiting.forEach((job, index) => {
+            const position = index + 1;
+            if (job.position !== position) {
+                job.position = position;
+                if (job.onQueued) job.onQueued(position);
+            }
+        });
+    }
+
+    /**
+     * Starts as many waiting jobs as the limits allow
+     * Jobs are taken in FIFO order, skipping users that are at their own cap
+     */
+    function schedule() {
+        let index = 0;
+        while (!draining && running.size < maxConcurrent && index < waiting.length) {
+            const job = waiting[index];
+            if (runningFor(job.userId) >= maxPerUser) {
+                index++; // This user is busy, let the next one through
+                continue;
+            }
+            waiting.splice(index, 1);
+            start(job);
+        }
+        notifyPositions();
+    }
+
+    /**
+     * Runs a job and frees its slot when it settles
+     * @param {object} job - Job to start
+     */
+    function start(job) {
+        job.position = 0;
+        job.startedAt = Date.now();
+        running.set(job.id, job);
+
+        Promise.resolve()
+            .then(() => job.run())
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                running.delete(job.id);
+                schedule();
+                if (draining && !running.size) idleWaiters.splice(0).forEach((resolve) => resolve());
+            });
+    }
+
+    /**
+     * Removes a job that has not started yet
+     * @param {string} jobId - Job to remove
+     * @returns {boolean} True if the job was waiting and got removed
+     */
+    function remove(jobId) {
+        const index = waiting.findIndex((job) => job.id === jobId);
+        if (index === -1) return false;
+        const [job] = waiting.splice(index, 1);
+        job.resolve(null); // Never started, nothing to report
+        notifyPositions();
+        return true;
+    }
+
+    return {
+        /**
+         * Adds a job to the queue
+         * @param {object} job - Job description
+         * @param {string} job.id - Unique job ID
+         * @param {number} job.userId - Owner of the job (for the per-user cap)
+         * @param {Function} job.run - Async function doing the actual work
+         * @param {Function} [job.onQueued] - Called with the queue position while waiting
+         * @param {Function} [job.cancel] - Stops the job (waiting or running), called with the reason given to cancel()
+         * @returns {Promise} Settles with the result of job.run()
+         */
+        enqueue(job) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ ...job, resolve, reject, queuedAt: Date.now() });
+                schedule();
+            });
+        },
+
+        remove,
+
+        /**
+         * Cancels a job
+         * Waiting jobs are dropped; running jobs are stopped through their
+         * cancel() hook and keep their slot until run() settles.
+         * @param {string} jobId - Job to cancel
+         * @param {string} [reason] - Passed on to the job's cancel() hook (e.g. who canceled it)
+         * @returns {boolean} True if the job was found and could be canceled
+         */
+        cancel(jobId, reason) {
+            const job = running.get(jobId) || waiting.find((entry) => entry.id === jobId);
+            if (!job) return false;
+
+            if (running.has(jobId)) {
+                if (!job.cancel) return false; // No way to stop it midway
+            } else {
+                remove(jobId);
+            }
+            if (job.cancel) job.cancel(reason);
+            return true;
+        },
+
+        /**
+         * Gets the position of a waiting job
+         * @param {string} jobId - Job to look up
+         * @returns {number} 1-based position, 0 if running or unknown
+         */
+        getPosition(jobId) {
+            return waiting.findIndex((job) => job.id === jobId) + 1;
+        },
+
+        /**
+         * Lists running and waiting jobs
+         * @returns {object} Arrays of running and waiting jobs
+         */
+        list() {
+            return {
+                running: [...running.values()],
+                waiting: [...waiting]
+            };
+        },
+
+        /**
+         * Stops starting jobs and waits until the running ones are done
+         * Waiting jobs stay where they are and never settle (used on shutdown).
+         * @returns {Promise<void>} Resolves once no job is running
+         */
+        drain() {
+            draining = true;
+            if (!running.size) return Promise.resolve();
+            return new Promise((resolve) => idleWaiters.push(resolve));
+        }
+    };
+}
+
+module.exports = { createDownloadQueue };
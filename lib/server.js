@@ -0,0 +1,124 @@
+/**
+ * HTTP Server
+ * Small embedded server for what the bot exposes over HTTP (the Telegram
+ * webhook, /healthz and /metrics). Handlers are registered per method and path and
+ * answer with { status, body, headers }; object bodies are sent as JSON.
+ */
+const http = require('http'); // Plain HTTP server (TLS is left to the reverse proxy)
+const crypto = require('crypto'); // Constant-time comparison
+
+const MAX_BODY_SIZE = 1024 * 1024; // Telegram updates are a few KB
+
+/**
+ * Compares a secret from a request with the expected one in constant time
+ * @param {string} [given] - Value sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if they match
+ */
+function secretMatches(given, expected) {
+    if (typeof given !== 'string' || given.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+/**
+ * Reads a request body up to MAX_BODY_SIZE
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<string>} Body text (rejects with status 413 when too large)
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                request.destroy();
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Creates the server (not listening yet)
+ * @param {object} [options] - Server options
+ * @param {object} [options.logger] - Where handler errors are reported
+ * @returns {object} Server API (route, listen, close)
+ */
+function createHttpServer({ logger = console } = {}) {
+    const routes = new Map(); // "METHOD /path" -> handler
+
+    /**
+     * Writes a handler's answer
+     * @param {http.ServerResponse} response - Response to write
+     * @param {object} answer - { status, body, headers }
+     */
+    function send(response, { status = 200, body = '', headers = {} }) {
+        const isJson = typeof body === 'object';
+        response.writeHead(status, {
+            'Content-Type': isJson ? 'application/json' : 'text/plain; charset=utf-8',
+            ...headers
+        });
+        response.end(isJson ? JSON.stringify(body) : String(body));
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const handler = routes.get(`${request.method} ${pathname}`);
+        if (!handler) return send(response, { status: 404, body: 'Not Found' });
+
+        try {
+            const body = request.method === 'POST' ? await readBody(request) : '';
+            send(response, await handler({ method: request.method, path: pathname, headers: request.headers, body }));
+        } catch (err) {
+            if (!err.status) logger.error('HTTP handler failed', { method: request.method, path: pathname, err });
+            if (!response.headersSent) send(response, { status: err.status || 500, body: err.status ? err.message : 'Internal Server Error' });
+        }
+    });
+
+    return {
+        /**
+         * Registers a handler
+         * @param {string} method - HTTP method ("GET", "POST")
+         * @param {string} path - Exact path (e.g. "/healthz")
+         * @param {Function} handler - async ({ method, path, headers, body }) => { status, body, headers }
+         */
+        route(method, path, handler) {
+            routes.set(`${method} ${path}`, handler);
+        },
+
+        /**
+         * Starts listening
+         * @param {number} port - TCP port
+         * @param {string} [host] - Interface to bind to
+         * @returns {Promise<void>} Resolves once the server accepts connections
+         */
+        listen(port, host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve();
+                });
+            });
+        },
+
+        /**
+         * Stops accepting connections and waits for open requests to finish
+         * @returns {Promise<void>} Resolves once the server is closed
+         */
+        close() {
+            return new Promise((resolve) => {
+                if (!server.listening) return resolve();
+                server.close(() => resolve());
+                if (server.closeIdleConnections) server.closeIdleConnections(); // Keep-alive sockets (Node 18.2+)
+            });
+        }
+    };
+}
+
+module.exports = { createHttpServer, secretMatches };
@@ -0,0 +1,144 @@
+/**
+ * Session Store
+ * Media sessions (the state behind a link's buttons) live in memory while
+ * the bot runs and are mirrored to a persistent store collection, so the
+ * buttons keep working after a restart. Sessions nobody touched for the TTL
+ * expire, unless a job is still working on them.
+ *
+ * Code changes sessions in place after get(), and marks them with
+ * markChanged() (or set()) so only those are written on the next save tick
+ * (and at exit through save()). A get() alone only renews the session in
+ * memory; its new last-used time is saved with the next change.
+ */
+
+/**
+ * Creates the session store
+ * @param {object} options - Store options
+ * @param {object} options.collection - Store collection the sessions are saved to
+ * @param {number} options.ttl - Idle time in ms after which a session expires
+ * @param {string[]} [options.transient] - Fields that are never saved (e.g. an AbortController)
+ * @param {Function} [options.isBusy] - (session) => true while a job needs it (never expires then)
+ * @param {number} [options.saveInterval] - Save changed sessions and expire idle ones this often (ms)
+ * @returns {object} Map-like API (get, set, has, delete, entries, size, markChanged, save)
+ */
+function createSessionStore({ collection, ttl, transient = [], isBusy = () => false, saveInterval = 5000 }) {
+    const sessions = new Map(); // id -> { session, lastUsed }
+    const dirty = new Set(); // IDs to save on the next tick
+
+    /**
+     * Checks whether a session has been idle too long
+     * @param {object} entry - { session, lastUsed }
+     * @returns {boolean} True if it can be dropped
+     */
+    const isExpired = (entry) => entry.lastUsed + ttl < Date.now() && !isBusy(entry.session);
+
+    // Restore the sessions of the previous run
+    for (const [id, entry] of collection.entries()) {
+        if (entry && entry.session && !isExpired(entry)) {
+            sessions.set(id, entry);
+        } else {
+            collection.delete(id);
+        }
+    }
+
+    /**
+     * Writes the changed sessions to the collection
+     */
+    function save() {
+        for (const id of dirty) {
+            const entry = sessions.get(id);
+            if (!entry) continue;
+            const session = Object.fromEntries(
+                Object.entries(entry.session).filter(([key]) => !transient.includes(key))
+            );
+            collection.set(id, { session, lastUsed: entry.lastUsed });
+        }
+        dirty.clear();
+    }
+
+    /**
+     * Drops sessions that have been idle longer than the TTL
+     */
+    function sweep() {
+        for (const [id, entry] of sessions) {
+            if (!isExpired(entry)) continue;
+            sessions.delete(id);
+            dirty.delete(id);
+            collection.delete(id);
+        }
+    }
+
+    const timer = setInterval(() => {
+        sweep();
+        save();
+    }, saveInterval);
+    timer.unref(); // Don't keep the process alive just to save
+
+    return {
+        /**
+         * Gets a session and marks it used
+         * @param {string} id - Session ID
+         * @returns {object|undefined} Live session object (call markChanged() after changing it)
+         */
+        get(id) {
+            const entry = sessions.get(id);
+            if (!entry) return undefined;
+            entry.lastUsed = Date.now();
+            return entry.session;
+        },
+
+        /**
+         * Marks a session as changed, so the next save writes it
+         * @param {string} id - Session ID
+         */
+        markChanged(id) {
+            if (sessions.has(id)) dirty.add(id);
+        },
+
+        /**
+         * Checks whether a session exists
+         * @param {string} id - Session ID
+         * @returns {boolean} True if known
+         */
+        has: (id) => sessions.has(id),
+
+        /**
+         * Adds or replaces a session
+         * @param {string} id - Session ID
+         * @param {object} session - Session data
+         */
+        set(id, session) {
+            sessions.set(id, { session, lastUsed: Date.now() });
+            dirty.add(id);
+        },
+
+        /**
+         * Removes a session
+         * @param {string} id - Session ID
+         * @returns {boolean} True if it existed
+         */
+        delete(id) {
+            dirty.delete(id);
+            collection.delete(id);
+            return sessions.delete(id);
+        },
+
+        /**
+         * Lists all sessions
+         * @returns {Array} [id, session] pairs
+         */
+        entries: () => Array.from(sessions, ([id, entry]) => [id, entry.session]),
+
+        /**
+         * Number of sessions
+         * @returns {number} Session count
+         */
+        get size() {
+            return sessions.size;
+        },
+
+        save
+    };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,95 @@
+/**
+ * Size Estimation
+ * Works out how big a chosen download will be before it starts, from the
+ * exact streams its format selector picks: sizes from the metadata when the
+ * site reports them, otherwise the length the server gives for the stream
+ * URL, otherwise bitrate × duration. Merged formats add up their video and
+ * audio streams; re-encoded audio is sized by its output bitrate.
+ */
+const { AUDIO_FORMATS, formatSize } = require('./formats'); // Audio outputs and metadata sizes
+const { normalizeFormat } = require('./probe'); // Format fields we use
+const { getContentLength } = require('./http'); // HEAD/range size lookup
+
+/**
+ * Checks whether a stream is a single file whose length the server can report
+ * (HLS/DASH manifests only report the size of the playlist itself)
+ * @param {object} format - Normalized format
+ * @returns {boolean} True for plain http(s) downloads
+ */
+function isDirectStream(format) {
+    return Boolean(format.url) && (!format.protocol || /^https?$/.test(format.protocol));
+}
+
+/**
+ * Creates the estimator
+ * @param {object} options - Estimator options
+ * @param {object} options.prober - Cached prober (see createProber)
+ * @param {object} options.ytdlp - yt-dlp adapter, resolves selectors without format IDs
+ * @param {number} options.timeout - Time limit of one lookup in ms
+ * @returns {object} Estimator API (estimate)
+ */
+function createSizeEstimator({ prober, ytdlp, timeout }) {
+    /**
+     * Finds the streams a download option will fetch
+     * @param {string} url - Media URL
+     * @param {object} media - Probe result
+     * @param {object} option - Video/audio option (selector, formatIds)
+     * @returns {Promise<object[]>} Normalized formats
+     */
+    async function resolveStreams(url, media, option) {
+        const byId = (id) => media.formats.find((format) => format.id === id);
+        const known = (option.formatIds || []).map(byId);
+        if (known.length && known.every(Boolean)) return known;
+
+        // Generic selectors (e.g. "best[height<=480]"): let yt-dlp pick, as the download will
+        const info = await ytdlp.getFormatInfo(url, option.selector, { timeout });
+        return (info.requested_formats || [info]).map(normalizeFormat);
+    }
+
+    /**
+     * Gets the size of one stream
+     * @param {object} format - Normalized format
+     * @param {number} duration - Media duration in seconds
+     * @returns {Promise<number|null>} Size in bytes
+     */
+    async function streamSize(format, duration) {
+        if (format.filesize) return format.filesize;
+        if (format.filesizeApprox) return format.filesizeApprox;
+        if (isDirectStream(format)) {
+            const length = await getContentLength(format.url, { timeout }).catch(() => null);
+            if (length) return length;
+        }
+        return formatSize(format, duration);
+    }
+
+    return {
+        /**
+         * Estimates the size of a download option
+         * @param {string} url - Media URL
+         * @param {object} option - Chosen video/audio option
+         * @param {boolean} isAudio - Whether the option is an audio extraction
+         * @returns {Promise<number|null>} Size in bytes, null if it can't be told
+         */
+        async estimate(url, option, isAudio) {
+            const media = await prober.probe(url);
+            const streams = await resolveStreams(url, media, option);
+            if (!streams.length) return null;
+
+            const sizes = await Promise.all(streams.map((format) => streamSize(format, media.duration)));
+            if (sizes.some((size) => !size)) return null;
+            const size = sizes.reduce((total, bytes) => total + bytes, 0);
+
+            // Audio re-encoded to a fixed bitrate: its size follows the output, not the source
+            const output = AUDIO_FORMATS[option.format] || {};
+            const bitrate = option.bitrate || (output.lossless ? output.bitrate : null);
+            if (!isAudio || !bitrate) return size;
+
+            const source = streams[0];
+            const sourceBitrate = source.abr || source.tbr;
+            const duration = media.duration || (sourceBitrate ? size * 8 / (sourceBitrate * 1000) : 0);
+            return duration ? Math.round(bitrate * 1000 / 8 * duration) : null;
+        }
+    };
+}
+
+module.exports = { createSizeEstimator };
@@ -0,0 +1,66 @@
+/**
+ * Download Statistics
+ * Counts delivered files, failures and bytes served per platform, kept in
+ * the persistent store so the numbers survive restarts.
+ */
+
+/**
+ * Creates a statistics recorder
+ * @param {object} collection - Store collection, keyed by platform
+ * @returns {object} Stats API (recordDownload, recordFailure, summary)
+ */
+function createStats(collection) {
+    /**
+     * Adds to the counters of one platform
+     * @param {string} platform - Platform name (e.g. "youtube")
+     * @param {object} delta - Increments of downloads, failures and bytes
+     */
+    function add(platform, { downloads = 0, failures = 0, bytes = 0 }) {
+        const key = platform || 'unknown';
+        const current = collection.get(key) || { downloads: 0, failures: 0, bytes: 0 };
+        collection.set(key, {
+            downloads: current.downloads + downloads,
+            failures: current.failures + failures,
+            bytes: current.bytes + bytes
+        });
+    }
+
+    return {
+        /**
+         * Counts a file that was sent to a user
+         * @param {string} platform - Platform the media came from
+         * @param {number} bytes - Size of the file
+         */
+        recordDownload(platform, bytes) {
+            add(platform, { downloads: 1, bytes: bytes || 0 });
+        },
+
+        /**
+         * Counts a download that failed
+         * @param {string} platform - Platform the media came from
+         */
+        recordFailure(platform) {
+            add(platform, { failures: 1 });
+        },
+
+        /**
+         * Gets the counters of every platform and their totals
+         * @returns {object} { platforms: [{ platform, downloads, failures, bytes }], totals }
+         */
+        summary() {
+            const platforms = collection.entries()
+                .map(([platform, counts]) => ({ platform, ...counts }))
+                .sort((a, b) => b.downloads - a.downloads);
+
+            const totals = platforms.reduce((sum, entry) => ({
+                downloads: sum.downloads + entry.downloads,
+                failures: sum.failures + entry.failures,
+                bytes: sum.bytes + entry.bytes
+            }), { downloads: 0, failures: 0, bytes: 0 });
+
+            return { platforms, totals };
+        }
+    };
+}
+
+module.exports = { createStats };
@@ -0,0 +1,206 @@
+/**
+ * Persistent Store
+ * Small key-value store with data grouped in named collections. Two
+ * backends share the same API:
+ * - json (default): kept in memory and saved to a single JSON file. Writes
+ *   are batched, run in the background and replace the file atomically, so
+ *   a crash never leaves half a file behind.
+ * - sqlite: one row per item in an SQLite database (Node.js 22.5+, no extra
+ *   packages), for larger installs where rewriting one file gets slow.
+ * Values must be JSON-serializable.
+ */
+const fs = require('fs'); // File system operations
+const path = require('path'); // Path manipulation
+
+/**
+ * Creates a store backed by a JSON file
+ * @param {object} options - Store options
+ * @param {string} options.file - Path of the JSON file (created on first write)
+ * @param {number} [options.writeDelay] - Batch writes made within this many ms
+ * @param {object} [options.logger] - Where read/write errors are reported
+ * @returns {object} Store API (collection, flush)
+ */
+function createJsonStore({ file, writeDelay = 1000, logger = console }) {
+    let data = {};
+    let timer = null;
+    let writing = null; // Promise of the background write in progress
+
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        // A missing file just means nothing was stored yet
+        if (err.code !== 'ENOENT') logger.error('Could not read store, starting empty', { file, err });
+    }
+
+    /**
+     * Writes all data to disk in the background (one write at a time)
+     */
+    function save() {
+        timer = null;
+        if (writing) {
+            scheduleFlush(); // Try again once the current write is done
+            return;
+        }
+        const json = JSON.stringify(data);
+        const tmpFile = `${file}.saving`;
+        writing = fs.promises.mkdir(path.dirname(file), { recursive: true })
+            .then(() => fs.promises.writeFile(tmpFile, json))
+            .then(() => fs.promises.rename(tmpFile, file))
+            .catch((err) => logger.error('Could not save store', { file, err }))
+            .finally(() => {
+                writing = null;
+            });
+    }
+
+    /**
+     * Writes all data to disk right away and synchronously (for the exit handler)
+     */
+    function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmpFile = `${file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(data));
+            fs.renameSync(tmpFile, file);
+        } catch (err) {
+            logger.error('Could not save store', { file, err });
+        }
+    }
+
+    /**
+     * Saves after writeDelay, so bursts of changes cost a single write
+     */
+    function scheduleFlush() {
+        if (timer) return;
+        timer = setTimeout(save, writeDelay);
+        timer.unref(); // Don't keep the process alive just to save
+    }
+
+    return {
+        /**
+         * Gets a named collection of key/value pairs
+         * @param {string} name - Collection name
+         * @returns {object} Collection API (get, set, delete, has, keys, entries, size)
+         */
+        collection(name) {
+            if (!data[name]) data[name] = {};
+            const items = () => data[name];
+
+            return {
+                get: (key) => items()[key],
+                has: (key) => Object.prototype.hasOwnProperty.call(items(), key),
+                keys: () => Object.keys(items()),
+                entries: () => Object.entries(items()),
+                size: () => Object.keys(items()).length,
+
+                set(key, value) {
+                    items()[key] = value;
+                    scheduleFlush();
+                },
+
+                delete(key) {
+                    if (!(key in items())) return false;
+                    delete items()[key];
+                    scheduleFlush();
+                    return true;
+                }
+            };
+        },
+
+        flush
+    };
+}
+
+/**
+ * Creates a store backed by an SQLite database
+ * Every change is written right away, so there is nothing to flush.
+ * @param {object} options - Store options
+ * @param {string} options.file - Path of the database file (created if missing)
+ * @returns {object} Store API (collection, flush)
+ */
+function createSqliteStore({ file }) {
+    let sqlite;
+    try {
+        sqlite = require('node:sqlite');
+    } catch (err) {
+        throw new Error(`The sqlite store needs Node.js 22.5 or newer (running ${process.version})`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new sqlite.DatabaseSync(file);
+    db.exec('PRAGMA journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS items (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    )`);
+
+    const statements = {
+        get: db.prepare('SELECT value FROM items WHERE collection = ? AND key = ?'),
+        set: db.prepare('INSERT INTO items (collection, key, value) VALUES (?, ?, ?) ' +
+            'ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'),
+        delete: db.prepare('DELETE FROM items WHERE collection = ? AND key = ?'),
+        keys: db.prepare('SELECT key FROM items WHERE collection = ?'),
+        entries: db.prepare('SELECT key, value FROM items WHERE collection = ?'),
+        size: db.prepare('SELECT COUNT(*) AS count FROM items WHERE collection = ?')
+    };
+
+    return {
+        /**
+         * Gets a named collection of key/value pairs
+         * @param {string} name - Collection name
+         * @returns {object} Collection API (get, set, delete, has, keys, entries, size)
+         */
+        collection(name) {
+            return {
+                get(key) {
+                    const row = statements.get.get(name, String(key));
+                    return row ? JSON.parse(row.value) : undefined;
+                },
+                has: (key) => Boolean(statements.get.get(name, String(key))),
+                keys: () => statements.keys.all(name).map((row) => row.key),
+                entries: () => statements.entries.all(name).map((row) => [row.key, JSON.parse(row.value)]),
+                size: () => statements.size.get(name).count,
+
+                set(key, value) {
+                    statements.set.run(name, String(key), JSON.stringify(value));
+                },
+
+                delete(key) {
+                    return statements.delete.run(name, String(key)).changes > 0;
+                }
+            };
+        },
+
+        flush() {
+            // Writes are not batched
+        }
+    };
+}
+
+// Store backends by STORE_BACKEND name
+const BACKENDS = {
+    json: createJsonStore,
+    sqlite: createSqliteStore
+};
+
+/**
+ * Creates a store with the chosen backend
+ * @param {object} options - Store options
+ * @param {string} [options.backend] - "json" (default) or "sqlite"
+ * @param {string} options.file - Path of the store file
+ * @param {object} [options.logger] - Where errors are reported (json backend)
+ * @returns {object} Store API (collection, flush)
+ */
+function createStore({ backend = 'json', ...options }) {
+    if (!BACKENDS[backend]) {
+        throw new Error(`Unknown store backend "${backend}" (use ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+    return BACKENDS[backend](options);
+}
+
+module.exports = { createStore, createJsonStore, createSqliteStore };
@@ -0,0 +1,63 @@
+/**
+ * Time Helpers
+ * Formatting and parsing of media timestamps (M:SS, H:MM:SS, plain seconds).
+ */
+
+/**
+ * Formats a duration as M:SS or H:MM:SS
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+    return hours ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Parses a timestamp such as "90", "1:30", "1:02:03" or "1:30.5"
+ * @param {string} text - Timestamp typed by the user
+ * @returns {number|null} Seconds, null if invalid
+ */
+function parseTimestamp(text) {
+    const parts = String(text).trim().split(':');
+    if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+    const values = parts.map(Number);
+    // Minutes and seconds must stay below 60 when a larger unit is given
+    if (values.slice(1).some((value) => value >= 60)) return null;
+
+    return values.reduce((total, value) => total * 60 + value, 0);
+}
+
+/**
+ * Parses a time range such as "1:30-2:00"
+ * @param {string} text - Range typed by the user
+ * @returns {object|null} { start, end } in seconds, null if invalid
+ */
+function parseTimeRange(text) {
+    const match = String(text).trim().match(/^([\d:.]+)\s*[-–]\s*([\d:.]+)$/);
+    if (!match) return null;
+
+    const start = parseTimestamp(match[1]);
+    const end = parseTimestamp(match[2]);
+    if (start === null || end === null || end <= start) return null;
+
+    return { start, end };
+}
+
+/**
+ * Formats a waiting time in words, rounded up
+ * @param {number} ms - Time in milliseconds
+ * @param {Function} t - Translator (uses the time.minutes and time.hours plurals)
+ * @returns {string} e.g. "1 minute", "25 minutes", "3 hours"
+ */
+function formatWaitTime(ms, t) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 120) return t('time.minutes', { count: minutes });
+    return t('time.hours', { count: Math.ceil(minutes / 60) });
+}
+
+module.exports = { formatDuration, formatWaitTime, parseTimestamp, parseTimeRange };
@@ -0,0 +1,55 @@
+/**
+ * URL Extraction
+ * Finds the links in a Telegram message using its entities, so links work
+ * anywhere in the text or a media caption, and several can come at once.
+ */
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/gi; // Fallback for messages without entities
+
+/**
+ * Adds a scheme to links written without one ("youtu.be/abc")
+ * @param {string} text - Link as typed
+ * @returns {string} Absolute URL
+ */
+function normalizeUrl(text) {
+    const value = text.trim();
+    return /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+}
+
+/**
+ * Checks that a string is an http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True for valid http/https URLs
+ */
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Lists the links of a message, in order and without duplicates
+ * Covers plain links ("url" entities) and linked text ("text_link").
+ * @param {object} message - Telegram message
+ * @returns {string[]} http(s) URLs
+ */
+function extractUrls(message) {
+    const text = message.text || message.caption || '';
+    const entities = message.entities || message.caption_entities || [];
+
+    // Entity offsets count UTF-16 code units, the same as JS string indices
+    const urls = entities.length
+        ? entities
+            .filter((entity) => entity.type === 'url' || entity.type === 'text_link')
+            .map((entity) => (entity.type === 'text_link'
+                ? entity.url
+                : normalizeUrl(text.slice(entity.offset, entity.offset + entity.length))))
+        : text.match(URL_PATTERN) || [];
+
+    return [...new Set(urls)].filter(isHttpUrl);
+}
+
+module.exports = { extractUrls, isHttpUrl };
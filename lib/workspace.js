@@ -0,0 +1,85 @@
+/**
+ * Download Workspace
+ * Every job works in its own folder under the download folder, so jobs
+ * with the same title (or the same video for two users) never write to or
+ * delete each other's files, and cleaning up a job is removing its folder.
+ * A janitor removes what crashed or killed runs left behind, and the free
+ * disk space can be checked before new jobs are accepted.
+ */
+const fs = require('fs'); // File system operations
+const path = require('path'); // Path manipulation
+
+const JOB_DIR_PREFIX = 'job-';
+
+/**
+ * Creates the workspace
+ * @param {object} options - Workspace options
+ * @param {string} options.root - Download folder (created if missing)
+ * @param {string[]} [options.keep] - Names in the root the janitor never touches
+ * @param {object} [options.logger] - Where removal errors are reported
+ * @returns {object} Workspace API (create, remove, sweep, freeSpace)
+ */
+function createWorkspace({ root, keep = [], logger = console }) {
+    const active = new Set(); // Job folders in use by this process
+
+    fs.mkdirSync(root, { recursive: true });
+
+    return {
+        /**
+         * Creates a fresh folder for one job
+         * @returns {Promise<string>} Path of the folder
+         */
+        async create() {
+            const dir = await fs.promises.mkdtemp(path.join(root, JOB_DIR_PREFIX));
+            active.add(dir);
+            return dir;
+        },
+
+        /**
+         * Deletes a job folder with everything in it (finished, partial and temporary files)
+         * @param {string} [dir] - Folder from create() (ignored when empty)
+         * @returns {Promise<void>} Resolves when the folder is gone
+         */
+        async remove(dir) {
+            if (!dir) return;
+            active.delete(dir);
+            try {
+                await fs.promises.rm(dir, { recursive: true, force: true });
+            } catch (err) {
+                logger.error('Could not remove job folder', { dir, err });
+            }
+        },
+
+        /**
+         * Removes everything in the root that no running job owns
+         * (folders of jobs that crashed or were killed, files of older versions)
+         * @returns {Promise<number>} Number of removed entries
+         */
+        async sweep() {
+            let removed = 0;
+            for (const name of await fs.promises.readdir(root)) {
+                const entryPath = path.join(root, name);
+                if (keep.includes(name) || name.startsWith('.') || active.has(entryPath)) continue;
+                try {
+                    await fs.promises.rm(entryPath, { recursive: true, force: true });
+                    removed++;
+                } catch (err) {
+                    logger.warn('Janitor could not remove an item', { name, err });
+                }
+            }
+            return removed;
+        },
+
+        /**
+         * Gets the free space on the disk holding the root
+         * @returns {Promise<number|null>} Bytes available, null where Node can't tell (before 18.15)
+         */
+        async freeSpace() {
+            if (!fs.promises.statfs) return null;
+            const { bavail, bsize } = await fs.promises.statfs(root);
+            return bavail * bsize;
+        }
+    };
+}
+
+module.exports = { createWorkspace };
@@ -0,0 +1,82 @@
+/**
+ * yt-dlp Adapter
+ * Every yt-dlp invocation goes through here. Arguments are passed as an
+ * array (never through a shell) and the URL always comes after "--", so a
+ * user-supplied link can't inject commands or extra options.
+ */
+const { runProcess } = require('./process'); // Safe async process runner
+
+/**
+ * Creates a yt-dlp adapter bound to a specific binary
+ * @param {object} options - Adapter options
+ * @param {string} options.binary - Path to the yt-dlp executable (a fake script in tests)
+ * @param {number} [options.timeout] - Default timeout for metadata calls in ms
+ * @returns {object} Adapter API (run, getVersion, getInfo, getFormatInfo, download)
+ */
+function createYtDlp({ binary, timeout = 60000 }) {
+    /**
+     * Runs yt-dlp with the given arguments
+     * @param {string[]} args - yt-dlp arguments
+     * @param {object} [options] - Same options as runProcess()
+     * @returns {Promise<object>} Resolves with { stdout, stderr }
+     */
+    function run(args, options = {}) {
+        return runProcess(binary, args, { timeout, ...options });
+    }
+
+    return {
+        run,
+
+        /**
+         * Gets the installed yt-dlp version (also tells whether it runs at all)
+         * @param {object} [options] - Timeout/cancellation options
+         * @returns {Promise<string>} Version, e.g. "2024.08.06"
+         */
+        async getVersion(options) {
+            const { stdout } = await run(['--version'], options);
+            return stdout.trim();
+        },
+
+        /**
+         * Gets the full metadata of a media URL
+         * Playlists come back as one object with lightweight (flat) entries
+         * instead of one full JSON document per video.
+         * @param {string} url - Media URL
+         * @param {object} [options] - Timeout/cancellation options
+         * @returns {Promise<object>} Parsed --dump-single-json output
+         */
+        async getInfo(url, options) {
+            const { stdout } = await run(['--dump-single-json', '--flat-playlist', '--no-warnings', '--', url], options);
+            return JSON.parse(stdout.trim());
+        },
+
+        /**
+         * Gets the metadata of the formats a selector picks for a URL
+         * Merged selectors list their streams in requested_formats.
+         * @param {string} url - Media URL
+         * @param {string} selector - yt-dlp format selector (-f)
+         * @param {object} [options] - Timeout/cancellation options
+         * @returns {Promise<object>} Parsed --dump-json output
+         */
+        async getFormatInfo(url, selector, options) {
+            const { stdout } = await run(['--dump-json', '--no-playlist', '--no-warnings', '-f', selector, '--', url], options);
+            return JSON.parse(stdout.trim());
+        },
+
+        /**
+         * Downloads a URL, streaming yt-dlp's output line by line
+         * @param {string} url - Media URL
+         * @param {string[]} args - Format/output arguments
+         * @param {object} [options] - Execution options
+         * @param {Function} [options.onLine] - Called for every output line (progress)
+         * @param {AbortSignal} [options.signal] - Cancels the download
+         * @param {number} [options.timeout] - Download time limit in ms (0 = no limit)
+         * @returns {Promise<object>} Resolves when yt-dlp exits successfully
+         */
+        download(url, args, { onLine, signal, timeout: downloadTimeout = 0 } = {}) {
+            return run([...args, '--newline', '--', url], { onLine, signal, timeout: downloadTimeout });
+        }
+    };
+}
+
+module.exports = { createYtDlp };
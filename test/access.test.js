@@ -0,0 +1,83 @@
+/**
+ * Tests for the access policy: lists, rate limit and daily quotas
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessPolicy } = require('../lib/access');
+
+/**
+ * Creates an in-memory stand-in for a store collection
+ * @returns {object} Collection API (get, set)
+ */
+function memoryCollection() {
+    const items = new Map();
+    return {
+        get: (key) => items.get(key),
+        set: (key, value) => items.set(key, value)
+    };
+}
+
+/**
+ * Creates a policy with one admin (user 1) and the given limits
+ * @param {object} [limits] - Overrides for the default limits
+ * @returns {object} Policy API
+ */
+function createPolicy(limits = {}) {
+    return createAccessPolicy({
+        settings: memoryCollection(),
+        usage: memoryCollection(),
+        adminIds: [1],
+        defaults: { dailyDownloads: 0, dailyMB: 0, rateRequests: 0, rateWindowMinutes: 10, ...limits }
+    });
+}
+
+test('blocklists win, allowlists restrict everyone else, admins always get through', () => {
+    const policy = createPolicy();
+    assert.equal(policy.checkAccess({ userId: 5, chatId: 5 }).allowed, true);
+
+    policy.updateList('blockUsers', 5, true);
+    assert.deepEqual(policy.checkAccess({ userId: 5, chatId: 5 }), { allowed: false, reason: 'blocked' });
+
+    policy.updateList('allowChats', -100, true);
+    assert.deepEqual(policy.checkAccess({ userId: 6, chatId: 6 }), { allowed: false, reason: 'not_allowed' });
+    assert.equal(policy.checkAccess({ userId: 6, chatId: -100 }).allowed, true);
+    assert.equal(policy.checkAccess({ userId: 1, chatId: 6 }).allowed, true);
+
+    assert.equal(policy.updateList('blockUsers', 5, true), false);
+    assert.equal(policy.updateList('blockUsers', 5, false), true);
+    assert.throws(() => policy.updateList('friends', 5, true), /Unknown list/);
+});
+
+test('the rate limit refuses requests over the limit until the window has passed', async () => {
+    const policy = createPolicy({ rateRequests: 2, rateWindowMinutes: 0.001 }); // 60ms window
+    assert.equal(policy.checkRate(5).allowed, true);
+    assert.equal(policy.checkRate(5).allowed, true);
+
+    const refused = policy.checkRate(5);
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 60);
+    assert.equal(policy.checkRate(6).allowed, true);
+    assert.equal(policy.checkRate(1).allowed, true);
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.equal(policy.checkRate(5).allowed, true);
+});
+
+test('daily quotas count downloads and bytes per user', () => {
+    const policy = createPolicy({ dailyDownloads: 2, dailyMB: 1 });
+    policy.recordDownload(5, 100);
+    assert.equal(policy.checkQuota(5).allowed, true);
+
+    policy.recordDownload(5, 100);
+    const byCount = policy.checkQuota(5);
+    assert.equal(byCount.allowed, false);
+    assert.equal(byCount.reason, 'downloads');
+    assert.equal(byCount.limit, 2);
+
+    policy.setLimit('dailyDownloads', 0);
+    policy.recordDownload(6, 2 * 1024 * 1024);
+    assert.equal(policy.checkQuota(5).allowed, true);
+    assert.equal(policy.checkQuota(6).reason, 'bytes');
+    assert.equal(policy.getUsage(5).downloads, 2);
+    assert.throws(() => policy.setLimit('dailyGB', 1), /Unknown limit/);
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for signed callback data
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCallbackSigner } = require('../lib/callbacks');
+
+test('signed callback data verifies and fits in 64 bytes', () => {
+    const signer = createCallbackSigner('secret');
+    const data = signer.sign('video_0', '0123456789abcdef');
+    assert.ok(Buffer.byteLength(data) <= 64);
+    assert.deepEqual(signer.verify(data), { action: 'video_0', sessionId: '0123456789abcdef' });
+});
+
+test('changed actions or sessions are rejected', () => {
+    const signer = createCallbackSigner('secret');
+    const [, sessionId, signature] = signer.sign('video_0', 'abc').split('|');
+    assert.equal(signer.verify(`video_1|${sessionId}|${signature}`), null);
+    assert.equal(signer.verify(`video_0|abd|${signature}`), null);
+});
+
+test('data signed with another secret is rejected', () => {
+    const data = createCallbackSigner('other').sign('cancel', 'abc');
+    assert.equal(createCallbackSigner('secret').verify(data), null);
+});
+
+test('malformed data is rejected', () => {
+    const signer = createCallbackSigner('secret');
+    for (const data of [undefined, '', 'cancel', 'cancel|abc', 'cancel|abc|x|y', 'cancel|abc|short']) {
+        assert.equal(signer.verify(data), null);
+    }
+});
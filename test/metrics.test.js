@@ -0,0 +1,62 @@
+/**
+ * Tests for the metrics registry and its Prometheus text output
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+
+/**
+ * Gets the sample lines of a rendering (without HELP and TYPE)
+ * @param {string} text - Output of render()
+ * @returns {string[]} Sample lines
+ */
+function sampleLines(text) {
+    return text.trim().split('\n').filter((line) => !line.startsWith('#'));
+}
+
+test('counters keep one value per label set and only use known labels', () => {
+    const metrics = createMetrics({ prefix: 'bot_' });
+    const jobs = metrics.counter('jobs_total', 'Finished jobs', ['platform', 'result']);
+    jobs.inc({ platform: 'youtube', result: 'ok' });
+    jobs.inc({ platform: 'youtube', result: 'ok', user: 7 }, 2);
+    jobs.inc({ platform: 'tiktok' });
+
+    const text = metrics.render();
+    assert.match(text, /^# HELP bot_jobs_total Finished jobs\n# TYPE bot_jobs_total counter\n/);
+    assert.deepEqual(sampleLines(text), [
+        'bot_jobs_total{platform="youtube",result="ok"} 3',
+        'bot_jobs_total{platform="tiktok",result=""} 1'
+    ]);
+});
+
+test('gauges are read at render time, with or without labels', () => {
+    const metrics = createMetrics();
+    let depth = 1;
+    metrics.gauge('queue_depth', 'Waiting jobs', () => depth);
+    metrics.gauge('queue_running', 'Running jobs', () => [{ labels: { kind: 'inline' }, value: 2 }]);
+
+    depth = 4;
+    assert.deepEqual(sampleLines(metrics.render()), ['queue_depth 4', 'queue_running{kind="inline"} 2']);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+    const metrics = createMetrics();
+    const duration = metrics.histogram('probe_seconds', 'Probe duration', ['platform'], [1, 5]);
+    duration.observe({ platform: 'youtube' }, 0.5);
+    duration.observe({ platform: 'youtube' }, 3);
+    duration.observe({ platform: 'youtube' }, 10);
+
+    assert.deepEqual(sampleLines(metrics.render()), [
+        'probe_seconds_bucket{platform="youtube",le="1"} 1',
+        'probe_seconds_bucket{platform="youtube",le="5"} 2',
+        'probe_seconds_bucket{platform="youtube",le="+Inf"} 3',
+        'probe_seconds_sum{platform="youtube"} 13.5',
+        'probe_seconds_count{platform="youtube"} 3'
+    ]);
+});
+
+test('label values are escaped', () => {
+    const metrics = createMetrics();
+    metrics.counter('failures_total', 'Failures', ['cause']).inc({ cause: 'say "hi"\\\nbye' });
+    assert.deepEqual(sampleLines(metrics.render()), ['failures_total{cause="say \\"hi\\"\\\\\\nbye"} 1']);
+});
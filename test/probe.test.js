@@ -0,0 +1,40 @@
+/**
+ * Tests for the normalization of yt-dlp metadata
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInfo } = require('../lib/probe');
+
+test('playlist entries are numbered by their position in the playlist', () => {
+    const info = normalizeInfo({
+        _type: 'playlist',
+        id: 'PL1',
+        title: 'List',
+        entries: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }]
+    });
+    assert.equal(info.isPlaylist, true);
+    assert.deepEqual(info.entries.map((entry) => [entry.index, entry.id]), [[1, 'a'], [2, 'b'], [3, 'c']]);
+});
+
+test('unavailable playlist entries are left out without shifting the later numbers', () => {
+    const info = normalizeInfo({
+        _type: 'playlist',
+        entries: [{ id: 'a' }, null, { id: 'c' }, null, { id: 'e' }]
+    });
+    assert.deepEqual(info.entries.map((entry) => [entry.index, entry.id]), [[1, 'a'], [3, 'c'], [5, 'e']]);
+});
+
+test('single videos keep their formats and fall back to the top-level stream', () => {
+    const withFormats = normalizeInfo({
+        id: 'v',
+        title: 'Video',
+        extractor: 'youtube',
+        formats: [{ format_id: '18', ext: 'mp4', vcodec: 'avc1', acodec: 'mp4a', height: 360 }, { ext: 'mhtml' }]
+    });
+    assert.deepEqual(withFormats.formats.map((format) => format.id), ['18']);
+    assert.equal(withFormats.platform, 'youtube');
+
+    const singleStream = normalizeInfo({ id: 'v', format_id: 'mp4', ext: 'mp4' });
+    assert.deepEqual(singleStream.formats.map((format) => format.id), ['mp4']);
+    assert.equal(singleStream.platform, 'Unknown');
+});
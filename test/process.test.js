@@ -0,0 +1,74 @@
+/**
+ * Tests for the child process runner and the yt-dlp adapter
+ * Both run the fake yt-dlp in test/fixtures instead of the real binary.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { runProcess } = require('../lib/process');
+const { createYtDlp } = require('../lib/ytdlp');
+
+const FAKE_YT_DLP = path.join(__dirname, 'fixtures', 'yt-dlp');
+
+test('runProcess resolves with the output of a successful run', async () => {
+    const { stdout } = await runProcess(FAKE_YT_DLP, ['--version']);
+    assert.equal(stdout.trim(), '2024.08.06');
+});
+
+test('runProcess rejects with the exit code and the last ERROR line', async () => {
+    await assert.rejects(runProcess(FAKE_YT_DLP, ['--', 'https://example.com/fail']), (err) => {
+        assert.equal(err.exitCode, 1);
+        assert.equal(err.message, '[generic] Unsupported URL: https://example.com/fail');
+        assert.match(err.stderr, /WARNING/);
+        return true;
+    });
+});
+
+test('runProcess kills the process when the timeout is reached', async () => {
+    const started = Date.now();
+    await assert.rejects(runProcess(FAKE_YT_DLP, ['--', 'https://example.com/slow'], { timeout: 300 }), (err) => {
+        assert.equal(err.timedOut, true);
+        return true;
+    });
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('runProcess kills the process when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const run = runProcess(FAKE_YT_DLP, ['--', 'https://example.com/slow'], {
+        signal: controller.signal,
+        onLine: () => controller.abort() // Stop at the first progress line
+    });
+    await assert.rejects(run, (err) => {
+        assert.equal(err.canceled, true);
+        return true;
+    });
+});
+
+test('runProcess does not start when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(runProcess(FAKE_YT_DLP, ['--version'], { signal: controller.signal }), { canceled: true });
+});
+
+test('ytdlp passes the URL after "--" so it is never read as an option', async () => {
+    const ytdlp = createYtDlp({ binary: FAKE_YT_DLP });
+    const { stdout } = await ytdlp.run(['--dump-json', '--', 'https://example.com/args']);
+    const args = JSON.parse(stdout);
+    assert.deepEqual(args.slice(-2), ['--', 'https://example.com/args']);
+});
+
+test('ytdlp getInfo parses the metadata and getVersion trims the output', async () => {
+    const ytdlp = createYtDlp({ binary: FAKE_YT_DLP });
+    const info = await ytdlp.getInfo('https://example.com/video');
+    assert.equal(info.title, 'Test Video');
+    assert.equal(await ytdlp.getVersion(), '2024.08.06');
+});
+
+test('ytdlp download streams the output line by line', async () => {
+    const ytdlp = createYtDlp({ binary: FAKE_YT_DLP });
+    const lines = [];
+    await ytdlp.download('https://example.com/video', ['-f', 'best'], { onLine: (line) => lines.push(line) });
+    assert.equal(lines.length, 3);
+    assert.match(lines[2], /100\.0%/);
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the download queue (caps, FIFO order, cancel)
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDownloadQueue } = require('../lib/queue');
+
+/**
+ * Creates a job whose run() only finishes when told to
+ * @param {string} id - Job ID
+ * @param {number} userId - Owner
+ * @param {string[]} started - Job IDs are added here when they start
+ * @returns {object} Queue job with a finish() function
+ */
+function createJob(id, userId, started) {
+    let finish;
+    const done = new Promise((resolve) => {
+        finish = resolve;
+    });
+    return {
+        id,
+        userId,
+        run: () => {
+            started.push(id);
+            return done;
+        },
+        finish: () => finish(id)
+    };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('queue never runs more jobs than the global cap', async () => {
+    const started = [];
+    const queue = createDownloadQueue({ maxConcurrent: 2, maxPerUser: 5 });
+    const jobs = ['a', 'b', 'c'].map((id) => createJob(id, 1, started));
+    jobs.forEach((job) => queue.enqueue(job));
+    await tick();
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(queue.getPosition('c'), 1);
+
+    jobs[0].finish();
+    await tick();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+});
+
+test('queue lets other users pass a user at their own cap, in FIFO order', async () => {
+    const started = [];
+    const queue = createDownloadQueue({ maxConcurrent: 3, maxPerUser: 1 });
+    const jobs = [createJob('a1', 1, started), createJob('a2', 1, started), createJob('b1', 2, started), createJob('c1', 3, started)];
+    jobs.forEach((job) => queue.enqueue(job));
+    await tick();
+
+    assert.deepEqual(started, ['a1', 'b1', 'c1']);
+    assert.equal(queue.getPosition('a2'), 1);
+
+    jobs[0].finish();
+    await tick();
+    assert.deepEqual(started, ['a1', 'b1', 'c1', 'a2']);
+});
+
+test('queue reports positions while waiting and settles with the job result', async () => {
+    const started = [];
+    const positions = [];
+    const queue = createDownloadQueue({ maxConcurrent: 1, maxPerUser: 1 });
+    const first = createJob('first', 1, started);
+    const second = { ...createJob('second', 2, started), onQueued: (position) => positions.push(position) };
+
+    const firstResult = queue.enqueue(first);
+    queue.enqueue(second);
+    await tick();
+    assert.deepEqual(positions, [1]);
+
+    first.finish();
+    assert.equal(await firstResult, 'first');
+});
+
+test('queue cancel drops waiting jobs and calls the hook of running ones', async () => {
+    const started = [];
+    const canceled = [];
+    const queue = createDownloadQueue({ maxConcurrent: 1, maxPerUser: 1 });
+    const running = { ...createJob('running', 1, started), cancel: (reason) => canceled.push(`running:${reason}`) };
+    const waiting = { ...createJob('waiting', 2, started), cancel: (reason) => canceled.push(`waiting:${reason}`) };
+
+    queue.enqueue(running);
+    const waitingResult = queue.enqueue(waiting);
+    await tick();
+
+    assert.equal(queue.cancel('waiting', 'user'), true);
+    assert.equal(await waitingResult, null);
+    assert.equal(queue.cancel('running', 'admin'), true);
+    assert.deepEqual(canceled, ['waiting:user', 'running:admin']);
+    assert.equal(queue.cancel('unknown'), false);
+});
+
+test('queue drain waits for running jobs and starts no new ones', async () => {
+    const started = [];
+    const queue = createDownloadQueue({ maxConcurrent: 1, maxPerUser: 1 });
+    const first = createJob('first', 1, started);
+    queue.enqueue(first);
+    queue.enqueue(createJob('second', 2, started));
+    await tick();
+
+    const drained = queue.drain();
+    first.finish();
+    await drained;
+    assert.deepEqual(started, ['first']);
+});
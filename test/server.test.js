@@ -0,0 +1,98 @@
+/**
+ * Tests for the embedded HTTP server
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createHttpServer, secretMatches } = require('../lib/server');
+
+const silent = { error() {}, warn() {} }; // Logger for the server
+
+/**
+ * Finds a free local TCP port
+ * @returns {Promise<number>} Port number
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts a server with the given routes, closed after the test
+ * @param {object} t - Test context
+ * @param {Function} addRoutes - Called with the server API to register routes
+ * @returns {Promise<string>} Base URL of the server
+ */
+async function startServer(t, addRoutes) {
+    const server = createHttpServer({ logger: silent });
+    addRoutes(server);
+    const port = await freePort();
+    await server.listen(port, '127.0.0.1');
+    t.after(() => server.close());
+    return `http://127.0.0.1:${port}`;
+}
+
+test('routes answer by method and path, objects as JSON', async (t) => {
+    const base = await startServer(t, (server) => {
+        server.route('GET', '/healthz', () => ({ body: { ok: true } }));
+        server.route('POST', '/hook', ({ body, headers }) => ({ status: 202, body: `${headers['x-test']}:${body}` }));
+    });
+
+    const health = await fetch(`${base}/healthz?verbose=1`);
+    assert.equal(health.status, 200);
+    assert.match(health.headers.get('content-type'), /application\/json/);
+    assert.deepEqual(await health.json(), { ok: true });
+
+    const hook = await fetch(`${base}/hook`, { method: 'POST', headers: { 'X-Test': 'a' }, body: 'update' });
+    assert.equal(hook.status, 202);
+    assert.equal(await hook.text(), 'a:update');
+
+    assert.equal((await fetch(`${base}/hook`)).status, 404);
+    assert.equal((await fetch(`${base}/missing`)).status, 404);
+});
+
+test('failing handlers answer 500, or their own status', async (t) => {
+    const base = await startServer(t, (server) => {
+        server.route('GET', '/broken', () => {
+            throw new Error('boom');
+        });
+        server.route('GET', '/forbidden', () => {
+            throw Object.assign(new Error('Forbidden'), { status: 403 });
+        });
+    });
+
+    const broken = await fetch(`${base}/broken`);
+    assert.equal(broken.status, 500);
+    assert.equal(await broken.text(), 'Internal Server Error');
+
+    const forbidden = await fetch(`${base}/forbidden`);
+    assert.equal(forbidden.status, 403);
+    assert.equal(await forbidden.text(), 'Forbidden');
+});
+
+test('request bodies over 1MB are refused', async (t) => {
+    let called = false;
+    const base = await startServer(t, (server) => {
+        server.route('POST', '/hook', () => {
+            called = true;
+            return { body: 'ok' };
+        });
+    });
+
+    const response = await fetch(`${base}/hook`, { method: 'POST', body: 'x'.repeat(1024 * 1024 + 1) }).catch(() => null);
+    if (response) assert.equal(response.status, 413); // The socket may also be cut before the answer arrives
+    assert.equal(called, false);
+});
+
+test('secrets only match exactly', () => {
+    assert.equal(secretMatches('s3cret', 's3cret'), true);
+    assert.equal(secretMatches('s3creT', 's3cret'), false);
+    assert.equal(secretMatches('s3cret!', 's3cret'), false);
+    assert.equal(secretMatches(undefined, 's3cret'), false);
+});
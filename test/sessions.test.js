@@ -0,0 +1,77 @@
+/**
+ * Tests for the session store on top of the JSON store
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { createSessionStore } = require('../lib/sessions');
+
+const silent = { error() {}, warn() {} }; // Logger for the stores
+
+/**
+ * Opens a session store saved in a JSON file
+ * @param {string} file - Store file
+ * @param {object} [options] - Extra session store options
+ * @returns {object} { store, sessions }
+ */
+function openSessions(file, options = {}) {
+    const store = createStore({ file, logger: silent });
+    const sessions = createSessionStore({
+        collection: store.collection('sessions'),
+        ttl: 60 * 1000,
+        transient: ['abortController'],
+        ...options
+    });
+    return { store, sessions };
+}
+
+test('sessions survive a restart without their transient fields', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'store.json');
+
+    const before = openSessions(file);
+    before.sessions.set('s1', { title: 'Video', abortController: new AbortController() });
+    before.sessions.get('s1').clip = { start: 10, end: 20 };
+    before.sessions.markChanged('s1');
+    before.sessions.save();
+    before.store.flush();
+
+    const after = openSessions(file);
+    assert.deepEqual(after.sessions.get('s1'), { title: 'Video', clip: { start: 10, end: 20 } });
+    assert.equal(after.sessions.size, 1);
+});
+
+test('only sessions marked as changed are written', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'store.json');
+
+    const { store, sessions } = openSessions(file);
+    sessions.set('s1', { step: 1 });
+    sessions.save();
+    sessions.get('s1').step = 2; // Changed without markChanged()
+    sessions.save();
+    store.flush();
+
+    assert.equal(openSessions(file).sessions.get('s1').step, 1);
+});
+
+test('expired sessions are dropped on load, busy ones are kept', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'store.json');
+
+    const store = createStore({ file, logger: silent });
+    const stale = Date.now() - 2 * 60 * 1000;
+    store.collection('sessions').set('idle', { session: { title: 'Idle' }, lastUsed: stale });
+    store.collection('sessions').set('busy', { session: { title: 'Busy', jobQueued: true }, lastUsed: stale });
+    store.flush();
+
+    const { sessions } = openSessions(file, { isBusy: (session) => Boolean(session.jobQueued) });
+    assert.equal(sessions.has('idle'), false);
+    assert.equal(sessions.has('busy'), true);
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the persistent store backends
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+const silent = { error() {}, warn() {} }; // Logger for the stores
+
+// The sqlite backend needs Node.js 22.5+
+let hasSqlite = true;
+try {
+    require('node:sqlite');
+} catch (err) {
+    hasSqlite = false;
+}
+
+/**
+ * Creates a temporary folder, removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Path of the folder
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Runs the collection API checks shared by both backends
+ * @param {object} store - Store to check
+ */
+function checkCollection(store) {
+    const users = store.collection('users');
+    users.set('7', { lang: 'en' });
+    users.set('8', { lang: 'ar' });
+
+    assert.deepEqual(users.get('7'), { lang: 'en' });
+    assert.equal(users.get('9'), undefined);
+    assert.equal(users.has('8'), true);
+    assert.deepEqual(users.keys().sort(), ['7', '8']);
+    assert.equal(users.size(), 2);
+    assert.equal(users.delete('8'), true);
+    assert.equal(users.delete('8'), false);
+    assert.deepEqual(users.entries(), [['7', { lang: 'en' }]]);
+    assert.equal(store.collection('other').size(), 0);
+}
+
+test('json store: collections work and survive a restart after flush()', (t) => {
+    const file = path.join(tempDir(t), 'data', 'store.json');
+    const store = createStore({ file, logger: silent });
+    checkCollection(store);
+    store.flush();
+
+    const reopened = createStore({ file, logger: silent });
+    assert.deepEqual(reopened.collection('users').get('7'), { lang: 'en' });
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('json store: changes are written in one batch after the write delay', async (t) => {
+    const file = path.join(tempDir(t), 'store.json');
+    const store = createStore({ file, writeDelay: 20, logger: silent });
+    const jobs = store.collection('jobs');
+    jobs.set('a', 1);
+    jobs.set('b', 2);
+    assert.equal(fs.existsSync(file), false);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { jobs: { a: 1, b: 2 } });
+    assert.equal(fs.existsSync(`${file}.saving`), false);
+});
+
+test('json store: an unreadable file starts an empty store', (t) => {
+    const file = path.join(tempDir(t), 'store.json');
+    fs.writeFileSync(file, '{ not json');
+    const store = createStore({ file, logger: silent });
+    assert.equal(store.collection('users').size(), 0);
+});
+
+test('sqlite store: collections work and survive a restart', { skip: !hasSqlite && 'needs Node.js 22.5+' }, (t) => {
+    const file = path.join(tempDir(t), 'store.db');
+    checkCollection(createStore({ backend: 'sqlite', file }));
+
+    const reopened = createStore({ backend: 'sqlite', file });
+    assert.deepEqual(reopened.collection('users').get('7'), { lang: 'en' });
+});
+
+test('unknown backends are refused', () => {
+    assert.throws(() => createStore({ backend: 'redis', file: 'x' }), /Unknown store backend/);
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for timestamp and time range parsing
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDuration, parseTimestamp, parseTimeRange } = require('../lib/time');
+
+test('timestamps are read as seconds, minutes:seconds or hours:minutes:seconds', () => {
+    assert.equal(parseTimestamp('90'), 90);
+    assert.equal(parseTimestamp('1:30'), 90);
+    assert.equal(parseTimestamp('1:02:03'), 3723);
+    assert.equal(parseTimestamp(' 1:30.5 '), 90.5);
+});
+
+test('malformed timestamps are refused', () => {
+    for (const text of ['', 'abc', '1:60', '1:2:60', '1:02:03:04', '-5', '1::30']) {
+        assert.equal(parseTimestamp(text), null, text);
+    }
+});
+
+test('ranges need a valid start before a valid end', () => {
+    assert.deepEqual(parseTimeRange('1:30-2:00'), { start: 90, end: 120 });
+    assert.deepEqual(parseTimeRange('10 – 1:00:00'), { start: 10, end: 3600 });
+    assert.equal(parseTimeRange('2:00-1:30'), null);
+    assert.equal(parseTimeRange('1:30-1:30'), null);
+    assert.equal(parseTimeRange('1:30'), null);
+    assert.equal(parseTimeRange('1:30-2:75'), null);
+});
+
+test('durations are shown as M:SS or H:MM:SS', () => {
+    assert.equal(formatDuration(65.9), '1:05');
+    assert.equal(formatDuration(3723), '1:02:03');
+});
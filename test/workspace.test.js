@@ -0,0 +1,60 @@
+/**
+ * Tests for the per-job download folders and the janitor
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkspace } = require('../lib/workspace');
+
+const silent = { error() {}, warn() {} }; // Logger for the workspace
+
+/**
+ * Creates a workspace in a temporary folder, removed after the test
+ * @param {object} t - Test context
+ * @param {object} [options] - Extra workspace options
+ * @returns {object} { root, workspace }
+ */
+function openWorkspace(t, options = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return { root, workspace: createWorkspace({ root, logger: silent, ...options }) };
+}
+
+test('every job gets its own folder and removing it deletes its files', async (t) => {
+    const { root, workspace } = openWorkspace(t);
+    const first = await workspace.create();
+    const second = await workspace.create();
+    assert.notEqual(first, second);
+    assert.equal(path.dirname(first), root);
+
+    fs.writeFileSync(path.join(first, 'video.mp4.part'), 'partial');
+    await workspace.remove(first);
+    assert.equal(fs.existsSync(first), false);
+    assert.equal(fs.existsSync(second), true);
+
+    await workspace.remove(null); // Jobs that never got a folder
+});
+
+test('the janitor removes leftovers but keeps running jobs, kept names and dotfiles', async (t) => {
+    const { root, workspace } = openWorkspace(t, { keep: ['Read.me'] });
+    const running = await workspace.create();
+    fs.mkdirSync(path.join(root, 'job-crashed'));
+    fs.writeFileSync(path.join(root, 'old video.mp4'), 'old');
+    fs.writeFileSync(path.join(root, 'Read.me'), 'keep');
+    fs.writeFileSync(path.join(root, '.gitkeep'), '');
+
+    assert.equal(await workspace.sweep(), 2);
+    assert.deepEqual(fs.readdirSync(root).sort(), ['.gitkeep', 'Read.me', path.basename(running)].sort());
+});
+
+test('free space is reported in bytes where Node can tell', async (t) => {
+    const { workspace } = openWorkspace(t);
+    const free = await workspace.freeSpace();
+    if (fs.promises.statfs) {
+        assert.ok(Number.isFinite(free) && free >= 0);
+    } else {
+        assert.equal(free, null);
+    }
+});